@@ -0,0 +1,115 @@
+const { generateId } = require('../storage/ids');
+const { toCsv } = require('../reports/csv');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const EXPORT_COLUMNS = [
+  ['createdAt', entry => entry.createdAt],
+  ['action', entry => entry.action],
+  ['outcome', entry => entry.outcome],
+  ['statusCode', entry => entry.statusCode],
+  ['actorId', entry => entry.actorId],
+  ['actorEmail', entry => entry.actorEmail],
+  ['targetType', entry => entry.targetType],
+  ['targetId', entry => entry.targetId],
+  ['before', entry => entry.before],
+  ['after', entry => entry.after],
+  ['details', entry => entry.details],
+  ['ip', entry => entry.ip],
+  ['method', entry => entry.method],
+  ['path', entry => entry.path]
+];
+
+// Append-only log of who changed what. `middleware` records every mutating
+// request it wraps once the response has gone out, successful or not.
+// Handlers say what the request did through describe(); a request they
+// don't describe is still logged under its method and path.
+function createAuditTrail({ storage, logger = console }) {
+  function middleware(req, res, next) {
+    if (READ_METHODS.includes(req.method)) return next();
+
+    req.audit = {};
+    res.on('finish', () => {
+      record(req, res).catch(error => logger.error('Audit log error:', error));
+    });
+    next();
+  }
+
+  // Merges details into the request's audit entry: action, targetType,
+  // targetId, before, after and free-form details
+  function describe(req, details) {
+    if (req.audit) Object.assign(req.audit, details);
+  }
+
+  async function record(req, res) {
+    const path = req.originalUrl.split('?')[0];
+    const audit = req.audit || {};
+
+    return storage.auditLogs.insert({
+      id: generateId('audit'),
+      action: audit.action || `${req.method} ${path}`,
+      outcome: res.statusCode < 400 ? 'success' : 'failure',
+      statusCode: res.statusCode,
+      actorId: req.user ? req.user.id : null,
+      actorEmail: req.user ? req.user.email : null,
+      actorRoles: req.user ? (req.user.adminRoles || []) : [],
+      targetType: audit.targetType || null,
+      targetId: audit.targetId || null,
+      before: audit.before || null,
+      after: audit.after || null,
+      details: audit.details || null,
+      method: req.method,
+      path,
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  // Filters: actorId, targetType, targetId, outcome (exact); action (exact,
+  // or a prefix ending in '.' such as 'payment.'); from/to (dates); q (text)
+  async function search(filters = {}) {
+    const criteria = {};
+    ['actorId', 'targetType', 'targetId', 'outcome'].forEach(key => {
+      if (filters[key]) criteria[key] = filters[key];
+    });
+
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+    const query = filters.q ? String(filters.q).toLowerCase() : null;
+
+    return (await storage.auditLogs.findBy(criteria))
+      .filter(entry => {
+        if (filters.action) {
+          const matchesAction = filters.action.endsWith('.') ?
+            entry.action.startsWith(filters.action) :
+            entry.action === filters.action;
+          if (!matchesAction) return false;
+        }
+        const createdAt = new Date(entry.createdAt);
+        if (from && createdAt < from) return false;
+        if (to && createdAt > to) return false;
+        if (query) {
+          const text = [entry.action, entry.actorEmail, entry.targetId, entry.path, entry.ip]
+            .concat(JSON.stringify(entry.details || ''))
+            .join(' ')
+            .toLowerCase();
+          if (!text.includes(query)) return false;
+        }
+        return true;
+      })
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  return {
+    middleware,
+    describe,
+    search,
+    toCsv: entries => toCsv(entries, EXPORT_COLUMNS)
+  };
+}
+
+module.exports = { createAuditTrail };
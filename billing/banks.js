@@ -0,0 +1,98 @@
+// Banks members can be paid out to, by CBN bank code. Aliases are the other
+// names members type for them, including banks that have since merged.
+const NIGERIAN_BANKS = [
+  { code: '044', name: 'Access Bank', aliases: ['access', 'access bank plc', 'diamond bank', 'diamond'] },
+  { code: '023', name: 'Citibank Nigeria', aliases: ['citibank', 'citi'] },
+  { code: '050', name: 'Ecobank Nigeria', aliases: ['ecobank', 'eco bank'] },
+  { code: '070', name: 'Fidelity Bank', aliases: ['fidelity'] },
+  { code: '011', name: 'First Bank of Nigeria', aliases: ['first bank', 'firstbank', 'fbn'] },
+  { code: '214', name: 'First City Monument Bank', aliases: ['fcmb'] },
+  { code: '058', name: 'Guaranty Trust Bank', aliases: ['gtbank', 'gtb', 'gtco', 'guaranty trust', 'gt bank'] },
+  { code: '301', name: 'Jaiz Bank', aliases: ['jaiz'] },
+  { code: '082', name: 'Keystone Bank', aliases: ['keystone'] },
+  { code: '303', name: 'Lotus Bank', aliases: ['lotus'] },
+  { code: '076', name: 'Polaris Bank', aliases: ['polaris', 'skye bank', 'skye'] },
+  { code: '101', name: 'Providus Bank', aliases: ['providus'] },
+  { code: '221', name: 'Stanbic IBTC Bank', aliases: ['stanbic', 'stanbic ibtc', 'ibtc'] },
+  { code: '068', name: 'Standard Chartered Bank', aliases: ['standard chartered', 'stanchart'] },
+  { code: '232', name: 'Sterling Bank', aliases: ['sterling'] },
+  { code: '100', name: 'SunTrust Bank', aliases: ['suntrust'] },
+  { code: '302', name: 'TAJ Bank', aliases: ['taj'] },
+  { code: '102', name: 'Titan Trust Bank', aliases: ['titan trust', 'titan'] },
+  { code: '032', name: 'Union Bank of Nigeria', aliases: ['union bank', 'union'] },
+  { code: '033', name: 'United Bank for Africa', aliases: ['uba'] },
+  { code: '215', name: 'Unity Bank', aliases: ['unity'] },
+  { code: '035', name: 'Wema Bank', aliases: ['wema', 'alat', 'alat by wema'] },
+  { code: '057', name: 'Zenith Bank', aliases: ['zenith'] }
+];
+
+// Weights CBN's NUBAN scheme applies to the bank code and serial number
+const NUBAN_WEIGHTS = [3, 7, 3, 3, 7, 3, 3, 7, 3, 3, 7, 3, 3, 7, 3];
+
+function normalizeName(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/\bplc\b|\bltd\b|\blimited\b/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Finds a bank by its code, its name or one of its aliases
+function findBank(value) {
+  if (!value) return null;
+  const code = String(value).trim();
+  const name = normalizeName(value);
+  return NIGERIAN_BANKS.find(bank =>
+    bank.code === code ||
+    normalizeName(bank.name) === name ||
+    bank.aliases.includes(name)
+  ) || null;
+}
+
+// The last digit of a NUBAN checks the bank code and the nine-digit serial
+// before it. Codes are zero-padded to six digits, which leaves the original
+// three-digit scheme unchanged.
+function isValidNuban(accountNumber, bankCode) {
+  if (!/^\d{10}$/.test(accountNumber) || !/^\d{3,6}$/.test(bankCode)) return false;
+
+  const digits = `${bankCode.padStart(6, '0')}${accountNumber.slice(0, 9)}`.split('').map(Number);
+  const sum = digits.reduce((total, digit, i) => total + digit * NUBAN_WEIGHTS[i], 0);
+  const checkDigit = (10 - (sum % 10)) % 10;
+  return checkDigit === Number(accountNumber[9]);
+}
+
+// Checks payout details and returns them normalized, or { error }.
+// The bank can be given by code or by name.
+function validateBankDetails({ bankCode, bankName, accountNumber, accountName }) {
+  const bank = findBank(bankCode || bankName);
+  if (!bank) {
+    return { error: 'Select your bank from the list of supported banks' };
+  }
+
+  const number = String(accountNumber || '').replace(/\s+/g, '');
+  if (!/^\d{10}$/.test(number)) {
+    return { error: 'Account number must be 10 digits' };
+  }
+  if (!isValidNuban(number, bank.code)) {
+    return { error: `${number} is not a valid ${bank.name} account number` };
+  }
+
+  const name = String(accountName || '').trim().replace(/\s+/g, ' ');
+  if (!name) {
+    return { error: 'Account name is required' };
+  }
+
+  return {
+    bankCode: bank.code,
+    bankName: bank.name,
+    accountNumber: number,
+    accountName: name
+  };
+}
+
+module.exports = {
+  NIGERIAN_BANKS,
+  findBank,
+  isValidNuban,
+  validateBankDetails
+};
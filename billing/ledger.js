@@ -0,0 +1,120 @@
+const { generateId } = require('../storage/ids');
+
+// Chart of accounts. Member accounts are what the company owes a member, so
+// their balance is credits minus debits; company accounts are the other side.
+const ACCOUNTS = {
+  bank: 'company:bank',
+  penaltyIncome: 'income:penalties',
+  feeIncome: 'income:fees',
+  referralExpense: 'expense:referral_bonuses',
+  savings: (userId, enrollmentId) => `member:${userId}:savings:${enrollmentId}`,
+  bonus: userId => `member:${userId}:bonus`
+};
+
+const JOURNAL_TYPES = [
+  'opening_balance',
+  'contribution',
+  'referral_bonus',
+  'bonus_payout',
+  'bonus_clawback',
+  'fee',
+  'payout'
+];
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function debit(account, amount) {
+  return { account, debit: roundAmount(amount), credit: 0 };
+}
+
+function credit(account, amount) {
+  return { account, debit: 0, credit: roundAmount(amount) };
+}
+
+// Builds a journal entry, dropping zero lines and refusing one that doesn't balance
+function createJournal({ type, lines, ...details }) {
+  if (!JOURNAL_TYPES.includes(type)) {
+    throw new Error(`Unknown journal type: ${type}`);
+  }
+
+  const postedLines = lines.filter(line => line.debit > 0 || line.credit > 0);
+  const debits = roundAmount(postedLines.reduce((sum, line) => sum + line.debit, 0));
+  const credits = roundAmount(postedLines.reduce((sum, line) => sum + line.credit, 0));
+  if (postedLines.length === 0 || debits !== credits) {
+    throw new Error(`Unbalanced ${type} journal: debits ${debits}, credits ${credits}`);
+  }
+
+  return {
+    id: generateId('jrnl'),
+    type,
+    userId: null,
+    enrollmentId: null,
+    savingsCycle: null,
+    contributions: 0,
+    reference: {},
+    description: '',
+    createdAt: new Date().toISOString(),
+    createdBy: null,
+    ...details,
+    lines: postedLines
+  };
+}
+
+function accountBalance(journals, account) {
+  return roundAmount(journals.reduce((sum, journal) =>
+    sum + journal.lines
+      .filter(line => line.account === account)
+      .reduce((lineSum, line) => lineSum + line.credit - line.debit, 0),
+  0));
+}
+
+// Balance and per-enrolment cycle totals as the ledger sees them.
+// `journals` must be all of the member's journals.
+function deriveMemberState(user, journals) {
+  const prefix = `member:${user.id}:`;
+  const balance = roundAmount(journals.reduce((sum, journal) =>
+    sum + journal.lines
+      .filter(line => line.account.startsWith(prefix))
+      .reduce((lineSum, line) => lineSum + line.credit - line.debit, 0),
+  0));
+
+  const enrollments = (user.enrollments || []).map(enrollment => ({
+    id: enrollment.id,
+    totalSavedCurrentCycle: accountBalance(journals, ACCOUNTS.savings(user.id, enrollment.id)),
+    contributionsCompletedCurrentCycle: journals
+      .filter(journal =>
+        journal.enrollmentId === enrollment.id &&
+        journal.savingsCycle === enrollment.savingsCycle
+      )
+      .reduce((sum, journal) => sum + (journal.contributions || 0), 0)
+  }));
+
+  return { balance, enrollments };
+}
+
+function trialBalance(journals) {
+  const totals = journals.reduce((sum, journal) => {
+    journal.lines.forEach(line => {
+      sum.debits += line.debit;
+      sum.credits += line.credit;
+    });
+    return sum;
+  }, { debits: 0, credits: 0 });
+
+  const debits = roundAmount(totals.debits);
+  const credits = roundAmount(totals.credits);
+  return { debits, credits, balanced: debits === credits };
+}
+
+module.exports = {
+  ACCOUNTS,
+  JOURNAL_TYPES,
+  debit,
+  credit,
+  createJournal,
+  accountBalance,
+  deriveMemberState,
+  trialBalance
+};
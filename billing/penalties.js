@@ -0,0 +1,139 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PENALTY_TYPES = ['flat', 'percentage', 'capped'];
+
+// flat:       `amount` for every missed due date
+// percentage: `rate`% of the instalment for every missed due date
+// capped:     like percentage, but the total never exceeds `cap`
+//             (one instalment when no cap is set)
+// A due date only counts as missed once `graceDays` have passed after it.
+const DEFAULT_PENALTY_POLICY = {
+  type: 'percentage',
+  graceDays: 3,
+  rate: 10,
+  amount: 1000,
+  cap: null
+};
+
+function resolvePenaltyPolicy(config = {}) {
+  return { ...DEFAULT_PENALTY_POLICY, ...(config.penaltyPolicy || {}) };
+}
+
+// Returns an error message, or null when the policy is usable
+function validatePenaltyPolicy(policy) {
+  if (!policy || typeof policy !== 'object') return 'Penalty policy must be an object';
+  if (!PENALTY_TYPES.includes(policy.type)) {
+    return `Penalty type must be one of: ${PENALTY_TYPES.join(', ')}`;
+  }
+  for (const key of ['graceDays', 'rate', 'amount']) {
+    if (policy[key] !== undefined && !(Number.isFinite(policy[key]) && policy[key] >= 0)) {
+      return `Penalty ${key} must be a non-negative number`;
+    }
+  }
+  if (policy.cap != null && !(Number.isFinite(policy.cap) && policy.cap >= 0)) {
+    return 'Penalty cap must be a non-negative number';
+  }
+  return null;
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Same day of the month, clamped to the month's last day (31 Jan -> 28/29 Feb)
+function addMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+function addPeriods(date, frequency, count) {
+  return frequency === 'weekly' ? addDays(date, 7 * count) : addMonths(date, count);
+}
+
+function periodPenalty(policy, baseAmount) {
+  return policy.type === 'flat' ?
+    policy.amount :
+    roundAmount(baseAmount * policy.rate / 100);
+}
+
+// Due date, lateness and penalty for the next instalment of a savings cycle.
+// Instalment n (from 0) is due n periods after `cycleStartDate`, so paying
+// late doesn't move later due dates. Each instalment is penalised once, when
+// it's paid, so only this one's penalty is charged even if later ones are
+// overdue too. Waivers count against the penalty of the due date they name.
+function calculatePaymentSchedule({ cycleStartDate, contributionsMade, baseAmount, frequency = 'monthly', policy, waivers = [], now = new Date() }) {
+  const cycleStart = new Date(cycleStartDate);
+  const dueDateOf = n => addPeriods(cycleStart, frequency, n);
+  const nextPaymentDate = dueDateOf(contributionsMade);
+  const graceEndsAt = addDays(nextPaymentDate, policy.graceDays);
+
+  let overdueInstalments = 0;
+  while (now > addDays(dueDateOf(contributionsMade + overdueInstalments), policy.graceDays)) {
+    overdueInstalments++;
+  }
+
+  const cap = policy.type === 'capped' ? (policy.cap ?? baseAmount) : null;
+  const periods = overdueInstalments > 0 ? [{
+    dueDate: nextPaymentDate.toISOString(),
+    graceEndsAt: graceEndsAt.toISOString(),
+    amount: periodPenalty(policy, baseAmount)
+  }] : [];
+
+  const subtotal = roundAmount(periods.reduce((sum, period) => sum + period.amount, 0));
+  const capped = cap !== null && subtotal > cap ? cap : subtotal;
+
+  const dueDateKey = nextPaymentDate.toISOString();
+  const penalisedDates = periods.map(period => period.dueDate);
+  const applicableWaivers = waivers.filter(waiver => penalisedDates.includes(waiver.dueDate));
+  const waived = Math.min(
+    roundAmount(applicableWaivers.reduce((sum, waiver) => sum + waiver.amount, 0)),
+    capped
+  );
+  const penaltyAmount = roundAmount(capped - waived);
+
+  return {
+    nextPaymentDate: dueDateKey,
+    daysUntilNextPayment: Math.ceil((nextPaymentDate - now) / DAY_MS),
+    isOverdue: overdueInstalments > 0,
+    inGracePeriod: now > nextPaymentDate && now <= graceEndsAt,
+    graceEndsAt: graceEndsAt.toISOString(),
+    // Instalments past their grace period, this one included. Kept under its
+    // old name; for weekly plans these are weeks
+    overdueMonths: overdueInstalments,
+    frequency,
+    baseAmount,
+    penaltyAmount,
+    totalAmount: roundAmount(baseAmount + penaltyAmount),
+    cycleStartDate: cycleStart.toISOString(),
+    penaltyBreakdown: {
+      policy,
+      periods,
+      subtotal,
+      cap,
+      capApplied: capped < subtotal,
+      waivers: applicableWaivers,
+      waived,
+      total: penaltyAmount
+    }
+  };
+}
+
+module.exports = {
+  PENALTY_TYPES,
+  DEFAULT_PENALTY_POLICY,
+  resolvePenaltyPolicy,
+  validatePenaltyPolicy,
+  addMonths,
+  addDays,
+  addPeriods,
+  calculatePaymentSchedule
+};
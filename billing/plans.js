@@ -0,0 +1,117 @@
+const { generateId } = require('../storage/ids');
+
+const PLAN_FREQUENCIES = ['weekly', 'monthly'];
+const DEFAULT_PLAN_ID = 'plan_standard';
+
+// The plan every member was on before plans existed: one instalment of
+// monthlyPaymentAmount a month, withdrawable after six contributions
+function buildDefaultPlan(config = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: DEFAULT_PLAN_ID,
+    name: 'Standard Monthly Plan',
+    description: 'Monthly contributions over six months',
+    amount: config.monthlyPaymentAmount || 12000,
+    frequency: 'monthly',
+    contributions: 6,
+    withdrawalRules: {
+      minContributions: 6
+    },
+    isDefault: true,
+    status: 'active',
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Checks the editable plan fields. With `partial`, missing fields are skipped,
+// so a partial update is checked again once merged with the stored plan.
+function validatePlan(plan, { partial = false } = {}) {
+  const has = key => plan[key] !== undefined;
+
+  if (!partial || has('name')) {
+    if (typeof plan.name !== 'string' || !plan.name.trim()) return 'Plan name is required';
+  }
+  if (!partial || has('amount')) {
+    if (!(Number.isFinite(plan.amount) && plan.amount > 0)) return 'Plan amount must be a positive number';
+  }
+  if (!partial || has('frequency')) {
+    if (!PLAN_FREQUENCIES.includes(plan.frequency)) {
+      return `Frequency must be one of: ${PLAN_FREQUENCIES.join(', ')}`;
+    }
+  }
+  if (!partial || has('contributions')) {
+    if (!(Number.isInteger(plan.contributions) && plan.contributions > 0)) {
+      return 'Number of contributions must be a positive whole number';
+    }
+  }
+  if (has('withdrawalRules')) {
+    const rules = plan.withdrawalRules;
+    if (!rules || typeof rules !== 'object') return 'Withdrawal rules must be an object';
+    if (rules.minContributions !== undefined &&
+        !(Number.isInteger(rules.minContributions) && rules.minContributions > 0)) {
+      return 'Minimum contributions must be a positive whole number';
+    }
+    if (rules.minContributions !== undefined && Number.isInteger(plan.contributions) &&
+        rules.minContributions > plan.contributions) {
+      return 'Minimum contributions cannot be more than the number of contributions';
+    }
+  }
+  return null;
+}
+
+// Contributions needed before a withdrawal; defaults to the full plan
+function requiredContributions(plan) {
+  return (plan.withdrawalRules && plan.withdrawalRules.minContributions) || plan.contributions;
+}
+
+function createEnrollment(plan, overrides = {}) {
+  return {
+    id: generateId('enr'),
+    planId: plan.id,
+    status: 'active',
+    enrolledAt: new Date().toISOString(),
+    savingsCycle: 1,
+    lastPaymentDate: null,
+    cycleStartDate: null,
+    totalSavedCurrentCycle: 0,
+    contributionsCompletedCurrentCycle: 0,
+    isPaymentOverdue: false,
+    overdueAmount: 0,
+    penaltyWaivers: [],
+    paymentReminders: null,
+    ...overrides
+  };
+}
+
+function getActiveEnrollments(user) {
+  return (user.enrollments || []).filter(enrollment => enrollment.status === 'active');
+}
+
+// The enrolment used when a request doesn't name one: the oldest active one
+function getPrimaryEnrollment(user) {
+  return getActiveEnrollments(user)[0] || null;
+}
+
+function findEnrollment(user, enrollmentId) {
+  if (!enrollmentId) return getPrimaryEnrollment(user);
+  return (user.enrollments || []).find(enrollment => enrollment.id === enrollmentId) || null;
+}
+
+function isWithdrawalEligible(enrollment, plan) {
+  return Boolean(enrollment && plan) &&
+    (enrollment.contributionsCompletedCurrentCycle || 0) >= requiredContributions(plan);
+}
+
+module.exports = {
+  PLAN_FREQUENCIES,
+  DEFAULT_PLAN_ID,
+  buildDefaultPlan,
+  validatePlan,
+  requiredContributions,
+  createEnrollment,
+  getActiveEnrollments,
+  getPrimaryEnrollment,
+  findEnrollment,
+  isWithdrawalEligible
+};
@@ -0,0 +1,79 @@
+// requested -> approved -> paid -> confirmed. A request can be rejected by an
+// admin or cancelled by the member until it is paid. A paid withdrawal the
+// member says never arrived is disputed until an admin resolves it: back to
+// paid once the payout is re-sent, confirmed or rejected when it is closed.
+const WITHDRAWAL_STATUSES = ['requested', 'approved', 'paid', 'disputed', 'confirmed', 'rejected', 'cancelled'];
+const OPEN_WITHDRAWAL_STATUSES = ['requested', 'approved', 'paid', 'disputed'];
+
+const WITHDRAWAL_TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['paid', 'rejected', 'cancelled'],
+  paid: ['confirmed', 'disputed'],
+  disputed: ['paid', 'confirmed', 'rejected'],
+  confirmed: [],
+  rejected: [],
+  cancelled: []
+};
+
+// How an admin can resolve a dispute, and the withdrawal status each leads to.
+// Closing either confirms the payout arrived or rejects it, leaving the savings in place.
+const DISPUTE_RESOLUTIONS = {
+  resend_receipt: 'paid',
+  reissue_payout: 'paid',
+  close: null
+};
+const DISPUTE_CLOSE_OUTCOMES = {
+  paid: 'confirmed',
+  not_paid: 'rejected'
+};
+
+// Statuses used before members could request withdrawals
+const LEGACY_WITHDRAWAL_STATUSES = {
+  pending: 'paid',
+  completed: 'confirmed'
+};
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function canTransition(withdrawal, status) {
+  return (WITHDRAWAL_TRANSITIONS[withdrawal.status] || []).includes(status);
+}
+
+function isOpenWithdrawal(withdrawal) {
+  return OPEN_WITHDRAWAL_STATUSES.includes(withdrawal.status);
+}
+
+// What a withdrawal of the enrolment's current savings would pay out.
+// The processing fee is flat and never more than the savings themselves.
+function calculateWithdrawalPayout(enrollment, config = {}) {
+  const grossAmount = roundAmount(enrollment.totalSavedCurrentCycle || 0);
+  const fee = roundAmount(Math.min(Math.max(config.withdrawalProcessingFee || 0, 0), grossAmount));
+  return {
+    grossAmount,
+    fee,
+    netAmount: roundAmount(grossAmount - fee)
+  };
+}
+
+// Moves a withdrawal to `status`, keeping a history of every step
+function transitionWithdrawal(withdrawal, status, { by = null, reason = null, at = new Date().toISOString() } = {}) {
+  withdrawal.history = withdrawal.history || [];
+  withdrawal.history.push({ from: withdrawal.status, to: status, by, reason, at });
+  withdrawal.status = status;
+  withdrawal.updatedAt = at;
+  return withdrawal;
+}
+
+module.exports = {
+  WITHDRAWAL_STATUSES,
+  OPEN_WITHDRAWAL_STATUSES,
+  LEGACY_WITHDRAWAL_STATUSES,
+  DISPUTE_RESOLUTIONS,
+  DISPUTE_CLOSE_OUTCOMES,
+  canTransition,
+  isOpenWithdrawal,
+  calculateWithdrawalPayout,
+  transitionWithdrawal
+};
@@ -0,0 +1,143 @@
+const { generateId } = require('../storage/ids');
+
+const RUN_HISTORY_LIMIT = 200;
+
+// In-process job runner. Each job runs on a fixed interval and every run is
+// recorded in the jobRuns collection, which is also how the scheduler knows
+// when a job last ran after a restart. A job never overlaps with itself: a
+// manual trigger while it is running gets the run already in progress.
+function createScheduler({ storage, logger = console }) {
+  const jobs = new Map();
+  let started = false;
+
+  async function lastRun(name) {
+    const runs = await storage.jobRuns.findBy({ job: name });
+    return runs.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))[0] || null;
+  }
+
+  async function pruneHistory(name) {
+    const runs = (await storage.jobRuns.findBy({ job: name }))
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+    for (const run of runs.slice(RUN_HISTORY_LIMIT)) {
+      await storage.jobRuns.remove(run.id);
+    }
+  }
+
+  async function execute(job, { trigger, triggeredBy }) {
+    const run = await storage.jobRuns.insert({
+      id: generateId('run'),
+      job: job.name,
+      trigger,
+      triggeredBy: triggeredBy || null,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      result: null,
+      error: null
+    });
+
+    let finished;
+    try {
+      const result = await job.run({ runId: run.id, trigger });
+      finished = await storage.jobRuns.update(run.id, {
+        status: 'completed',
+        finishedAt: new Date().toISOString(),
+        result: result || null
+      });
+    } catch (error) {
+      logger.error(`Job ${job.name} failed:`, error);
+      finished = await storage.jobRuns.update(run.id, {
+        status: 'failed',
+        finishedAt: new Date().toISOString(),
+        error: error.message
+      });
+    }
+
+    await pruneHistory(job.name);
+    return finished;
+  }
+
+  function runJob(name, options = {}) {
+    const job = jobs.get(name);
+    if (!job) {
+      return Promise.reject(new Error(`Unknown job: ${name}`));
+    }
+    if (job.current) return job.current;
+
+    job.current = execute(job, { trigger: options.trigger || 'manual', triggeredBy: options.triggeredBy })
+      .finally(() => { job.current = null; });
+    return job.current;
+  }
+
+  function schedule(job, delayMs) {
+    clearTimeout(job.timer);
+    job.nextRunAt = new Date(Date.now() + delayMs).toISOString();
+    job.timer = setTimeout(async () => {
+      try {
+        await runJob(job.name, { trigger: 'schedule' });
+      } catch (error) {
+        logger.error(`Job ${job.name} could not run:`, error);
+      }
+      schedule(job, job.intervalMs);
+    }, delayMs);
+    job.timer.unref();
+  }
+
+  function register(name, { intervalMs, run, description = '' }) {
+    if (jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+    jobs.set(name, { name, intervalMs, run, description, timer: null, current: null, nextRunAt: null });
+  }
+
+  // Jobs that are overdue (or have never run) run shortly after start
+  async function start() {
+    if (started) return;
+    started = true;
+
+    // Runs left 'running' by a previous process never finished
+    await storage.jobRuns.updateWhere(run => run.status === 'running', {
+      status: 'interrupted',
+      finishedAt: new Date().toISOString()
+    });
+
+    for (const job of jobs.values()) {
+      const previous = await lastRun(job.name);
+      const dueIn = previous ?
+        new Date(previous.startedAt).getTime() + job.intervalMs - Date.now() :
+        0;
+      schedule(job, Math.max(dueIn, 1000));
+    }
+  }
+
+  function stop() {
+    started = false;
+    jobs.forEach(job => {
+      clearTimeout(job.timer);
+      job.timer = null;
+      job.nextRunAt = null;
+    });
+  }
+
+  async function list() {
+    return Promise.all([...jobs.values()].map(async job => ({
+      name: job.name,
+      description: job.description,
+      intervalMs: job.intervalMs,
+      running: Boolean(job.current),
+      nextRunAt: job.nextRunAt,
+      lastRun: await lastRun(job.name)
+    })));
+  }
+
+  return {
+    register,
+    start,
+    stop,
+    runJob,
+    list,
+    has: name => jobs.has(name)
+  };
+}
+
+module.exports = { createScheduler };
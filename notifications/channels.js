@@ -0,0 +1,52 @@
+const { sendMail } = require('./smtp');
+const { createFileSmsProvider } = require('./providers/file');
+
+const SMS_PROVIDERS = {
+  file: createFileSmsProvider
+};
+
+// The longest SMS we send: three concatenated 153-character parts
+const SMS_MAX_LENGTH = 459;
+
+// A channel delivers a notification to one member outside the app:
+//   recipient(user) -> the address to use, or null if the member has none
+//   send({ to, title, message }) -> resolves once the message is accepted
+function createEmailChannel({ host, port, secure, user, pass, from }) {
+  if (!host) throw new Error('The email channel needs an SMTP host');
+  if (!from) throw new Error('The email channel needs a sender address');
+
+  return {
+    name: 'email',
+    recipient: member => member.email || null,
+    async send({ to, title, message }) {
+      await sendMail({ host, port, secure, user, pass, from, to, subject: title, text: message });
+    }
+  };
+}
+
+// SMS providers offer send({ to, text }) -> { providerReference }
+function createSmsChannel({ provider, ...options }) {
+  const factory = SMS_PROVIDERS[provider];
+  if (!factory) {
+    throw new Error(`Unknown SMS provider: ${provider}. Available: ${Object.keys(SMS_PROVIDERS).join(', ')}`);
+  }
+  const sms = factory(options);
+
+  return {
+    name: 'sms',
+    provider: sms.name,
+    recipient: member => member.phone || null,
+    async send({ to, title, message }) {
+      const text = `${title}: ${message}`;
+      await sms.send({
+        to,
+        text: text.length > SMS_MAX_LENGTH ? `${text.slice(0, SMS_MAX_LENGTH - 1)}…` : text
+      });
+    }
+  };
+}
+
+module.exports = {
+  createEmailChannel,
+  createSmsChannel
+};
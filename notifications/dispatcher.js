@@ -0,0 +1,120 @@
+const { generateId } = require('../storage/ids');
+
+// Channels members get notifications on besides the in-app inbox, which
+// always receives them. Email is on unless a member turns it off; SMS costs
+// money per message, so members opt in.
+const DEFAULT_CHANNEL_PREFERENCES = {
+  email: true,
+  sms: false
+};
+
+// How long to wait before each retry of a failed delivery. A delivery that
+// has failed once more than there are delays here is given up on.
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000];
+
+function preferencesFor(user) {
+  return { ...DEFAULT_CHANNEL_PREFERENCES, ...(user.notificationPreferences || {}) };
+}
+
+// Sends notifications out through the configured channels and keeps a log of
+// every delivery in notificationDeliveries. A failed delivery stays pending
+// until retryDue() picks it up again after its backoff delay. New deliveries
+// get the first delay up front, so a retry never races the first attempt.
+function createNotificationDispatcher({ storage, channels = [], logger = console }) {
+  const byName = new Map(channels.map(channel => [channel.name, channel]));
+
+  async function attempt(delivery) {
+    const channel = byName.get(delivery.channel);
+    const attempts = delivery.attempts + 1;
+    const now = new Date();
+
+    try {
+      if (!channel) throw new Error(`Channel ${delivery.channel} is not configured`);
+      await channel.send({ to: delivery.recipient, title: delivery.title, message: delivery.message });
+      return storage.notificationDeliveries.update(delivery.id, {
+        status: 'sent',
+        attempts,
+        nextAttemptAt: null,
+        sentAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      });
+    } catch (error) {
+      const delay = RETRY_DELAYS_MS[attempts - 1];
+      logger.error(`Notification ${delivery.channel} delivery ${delivery.id} failed (attempt ${attempts}):`, error.message);
+      return storage.notificationDeliveries.update(delivery.id, {
+        status: delay === undefined ? 'failed' : 'pending',
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: delay === undefined ? null : new Date(now.getTime() + delay).toISOString(),
+        updatedAt: now.toISOString()
+      });
+    }
+  }
+
+  // Delivers an in-app notification record to the member's other channels
+  async function dispatch(user, notification) {
+    const preferences = preferencesFor(user);
+    const now = new Date();
+    const deliveries = [];
+
+    for (const channel of channels) {
+      if (!preferences[channel.name]) continue;
+      const recipient = channel.recipient(user);
+      if (!recipient) continue;
+
+      deliveries.push(await storage.notificationDeliveries.insert({
+        id: generateId('dlv'),
+        notificationId: notification.id,
+        userId: user.id,
+        channel: channel.name,
+        recipient,
+        title: notification.title,
+        message: notification.message,
+        type: notification.type || null,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        nextAttemptAt: new Date(now.getTime() + RETRY_DELAYS_MS[0]).toISOString(),
+        sentAt: null,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      }));
+    }
+
+    return Promise.all(deliveries.map(attempt));
+  }
+
+  // Sends one message straight away, outside members' preferences and the
+  // delivery log. For messages that must never be stored, like one-time codes.
+  async function sendNow(channelName, { to, title, message }) {
+    const channel = byName.get(channelName);
+    if (!channel) throw new Error(`Channel ${channelName} is not configured`);
+    await channel.send({ to, title, message });
+  }
+
+  async function retryDue(now = new Date()) {
+    const due = (await storage.notificationDeliveries.findBy({ status: 'pending' }))
+      .filter(delivery => delivery.nextAttemptAt && new Date(delivery.nextAttemptAt) <= now);
+
+    let sent = 0;
+    for (const delivery of due) {
+      const result = await attempt(delivery);
+      if (result.status === 'sent') sent++;
+    }
+    return { retried: due.length, sent };
+  }
+
+  return {
+    channels: [...byName.keys()],
+    preferencesFor,
+    dispatch,
+    sendNow,
+    retryDue
+  };
+}
+
+module.exports = {
+  DEFAULT_CHANNEL_PREFERENCES,
+  RETRY_DELAYS_MS,
+  createNotificationDispatcher
+};
@@ -0,0 +1,26 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// An SMS provider for development and tests: every message is appended as a
+// JSON line to a local file instead of being sent.
+function createFileSmsProvider({ file }) {
+  if (!file) throw new Error('The file SMS provider needs an outbox file');
+
+  return {
+    name: 'file',
+
+    async send({ to, text }) {
+      const message = {
+        id: `sms_${Date.now()}`,
+        to,
+        text,
+        sentAt: new Date().toISOString()
+      };
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, `${JSON.stringify(message)}\n`);
+      return { providerReference: message.id };
+    }
+  };
+}
+
+module.exports = { createFileSmsProvider };
@@ -0,0 +1,174 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+// Reads SMTP replies off a socket. A reply is complete on its "250 " line;
+// "250-" lines before it are continuations.
+function createReplyReader() {
+  let socket = null;
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  function settle() {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) resolve(replies.shift());
+      else reject(failure);
+    }
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), text: lines.join('\n') });
+        lines = [];
+      }
+    }
+    settle();
+  }
+
+  function onError(error) {
+    failure = failure || error;
+    settle();
+  }
+
+  function onClose() {
+    onError(new Error('SMTP connection closed'));
+  }
+
+  return {
+    attach(next) {
+      if (socket) {
+        socket.removeListener('data', onData);
+        socket.removeListener('error', onError);
+        socket.removeListener('close', onClose);
+      }
+      socket = next;
+      socket.on('data', onData);
+      socket.on('error', onError);
+      socket.on('close', onClose);
+    },
+    next() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      });
+    }
+  };
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure ?
+      tls.connect({ host, port, servername: host }) :
+      net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+function upgradeToTls(socket, { host, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host });
+    secured.setTimeout(timeoutMs, () => secured.destroy(new Error('SMTP connection timed out')));
+    secured.once('secureConnect', () => {
+      secured.removeListener('error', reject);
+      resolve(secured);
+    });
+    secured.once('error', reject);
+  });
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ?
+    value :
+    `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function assertHeaderSafe(value, name) {
+  if (/[\r\n]/.test(value)) throw new Error(`Invalid ${name}`);
+}
+
+function addressOf(mailbox) {
+  const match = /<([^>]+)>/.exec(mailbox);
+  return match ? match[1] : mailbox;
+}
+
+// Base64 bodies keep lines short and never start a line with the "." that
+// would end DATA early
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+// Sends one plain-text email. Upgrades with STARTTLS when the server offers
+// it (unless `secure` already connected over TLS) and authenticates with
+// AUTH PLAIN when a user is given. Rejects with the server's reply on failure.
+async function sendMail({ host, port = 25, secure = false, user, pass, from, to, subject, text, timeoutMs = 15000 }) {
+  assertHeaderSafe(from, 'sender');
+  assertHeaderSafe(to, 'recipient');
+
+  let socket = await connect({ host, port, secure, timeoutMs });
+  const reader = createReplyReader();
+  reader.attach(socket);
+
+  async function command(line, expected) {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) {
+      const error = new Error(`SMTP ${reply.text}`);
+      error.code = reply.code;
+      throw error;
+    }
+    return reply;
+  }
+
+  try {
+    await command(null, [220]);
+    const hello = await command(`EHLO ${os.hostname()}`, [250]);
+
+    if (!secure && /^250[ -]STARTTLS/im.test(hello.text)) {
+      await command('STARTTLS', [220]);
+      socket = await upgradeToTls(socket, { host, timeoutMs });
+      reader.attach(socket);
+      await command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (user) {
+      const credentials = Buffer.from(`\0${user}\0${pass || ''}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${addressOf(from)}>`, [250]);
+    await command(`RCPT TO:<${addressOf(to)}>`, [250, 251]);
+    await command('DATA', [354]);
+    await command(`${buildMessage({ from, to, subject, text })}\r\n.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+module.exports = { sendMail };
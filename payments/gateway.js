@@ -0,0 +1,31 @@
+const { createMockProvider } = require('./providers/mock');
+
+const PROVIDERS = {
+  mock: createMockProvider
+};
+
+// The events every provider's webhooks are translated into
+const PAYMENT_EVENTS = ['payment.succeeded', 'payment.failed'];
+
+// Picks the configured payment provider. Each one offers:
+//   createCheckout({ reference, amount, currency, customer }) -> { checkoutUrl, providerReference }
+//   verifyWebhook(rawBody, headers) -> whether the webhook really came from the provider
+//   parseWebhook(body) -> { type, reference, providerReference, amount, currency, message }
+// with amounts in naira and `reference` the one given to createCheckout.
+// The mock provider settles payments without any money moving, so it is
+// refused in production.
+function createPaymentGateway({ provider, production = false, ...options } = {}) {
+  const factory = PROVIDERS[provider];
+  if (!factory) {
+    throw new Error(`Unknown payment provider: ${provider}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (provider === 'mock' && production) {
+    throw new Error('The mock payment provider cannot be used in production');
+  }
+  return factory(options);
+}
+
+module.exports = {
+  PAYMENT_EVENTS,
+  createPaymentGateway
+};
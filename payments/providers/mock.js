@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+function sign(secret, rawBody) {
+  return crypto.createHmac('sha512', secret).update(rawBody).digest('hex');
+}
+
+// A stand-in for a card/transfer provider that never leaves the machine.
+// Checkouts are served by the app itself, and the webhook it sends is shaped
+// and signed like a real provider's: amounts in kobo, an HMAC of the raw body.
+function createMockProvider({ secret }) {
+  if (!secret) throw new Error('The mock payment provider needs a webhook secret');
+
+  return {
+    name: 'mock',
+
+    async createCheckout({ reference }) {
+      const providerReference = `mock_${crypto.randomBytes(6).toString('hex')}`;
+      return {
+        providerReference,
+        checkoutUrl: `/mock-checkout?reference=${encodeURIComponent(reference)}`
+      };
+    },
+
+    // The webhook the provider would send once the member pays or gives up.
+    // Returns the exact body to post and the headers to post it with.
+    buildWebhook({ reference, providerReference, amount, currency }, outcome) {
+      const body = JSON.stringify({
+        event: outcome === 'success' ? 'charge.success' : 'charge.failed',
+        data: {
+          id: providerReference,
+          reference,
+          amount: Math.round(amount * 100),
+          currency,
+          gateway_response: outcome === 'success' ? 'Approved' : 'Declined by issuer',
+          paid_at: new Date().toISOString()
+        }
+      });
+      return {
+        body,
+        headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: sign(secret, body) }
+      };
+    },
+
+    verifyWebhook(rawBody, headers) {
+      const received = String(headers[SIGNATURE_HEADER] || '');
+      const expected = sign(secret, rawBody);
+      return received.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+    },
+
+    parseWebhook(body) {
+      const data = body.data || {};
+      return {
+        type: { 'charge.success': 'payment.succeeded', 'charge.failed': 'payment.failed' }[body.event] || body.event,
+        reference: data.reference,
+        providerReference: data.id,
+        amount: typeof data.amount === 'number' ? data.amount / 100 : null,
+        currency: data.currency,
+        message: data.gateway_response || null
+      };
+    }
+  };
+}
+
+module.exports = { createMockProvider };
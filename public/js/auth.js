@@ -0,0 +1,76 @@
+// Session handling shared by the member and admin pages. Access tokens last
+// an hour; authFetch trades the refresh token for a new pair when one expires.
+
+function saveSession(data) {
+    localStorage.setItem('rmn_token', data.token);
+    if (data.refreshToken) {
+        localStorage.setItem('rmn_refresh_token', data.refreshToken);
+    }
+    if (data.user) {
+        localStorage.setItem('rmn_user', JSON.stringify(data.user));
+    }
+}
+
+function clearSession() {
+    localStorage.removeItem('rmn_token');
+    localStorage.removeItem('rmn_refresh_token');
+    localStorage.removeItem('rmn_user');
+}
+
+let refreshingSession = null;
+
+// A refresh token works once, so requests that expire together share one refresh
+function refreshSession() {
+    if (!refreshingSession) {
+        refreshingSession = (async () => {
+            const refreshToken = localStorage.getItem('rmn_refresh_token');
+            if (!refreshToken) return false;
+
+            try {
+                const response = await fetch('/api/token/refresh', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ refreshToken })
+                });
+
+                if (!response.ok) {
+                    if (response.status === 401) {
+                        localStorage.removeItem('rmn_refresh_token');
+                    }
+                    return false;
+                }
+
+                saveSession(await response.json());
+                return true;
+            } catch (error) {
+                console.error('Session refresh error:', error);
+                return false;
+            }
+        })().finally(() => {
+            refreshingSession = null;
+        });
+    }
+    return refreshingSession;
+}
+
+// fetch with the session's access token. A 401 refreshes the session and
+// retries once; if another tab already refreshed it, its new token is used.
+async function authFetch(url, options = {}) {
+    const send = token => fetch(url, {
+        ...options,
+        headers: {
+            ...(options.headers || {}),
+            'Authorization': `Bearer ${token}`
+        }
+    });
+
+    const token = localStorage.getItem('rmn_token');
+    const response = await send(token);
+    if (response.status !== 401) return response;
+
+    const current = localStorage.getItem('rmn_token');
+    if (current && current !== token) return send(current);
+    return (await refreshSession()) ? send(localStorage.getItem('rmn_token')) : response;
+}
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (err) {
+  // Optional: without it receipts are still checked and stored, just not thumbnailed
+}
+
+const MB = 1024 * 1024;
+const THUMBNAIL_WIDTH = 320;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Accepted receipt formats, recognised by their leading bytes rather than by
+// the type the upload claims. Phone screenshots are PNGs, hence its larger limit.
+const RECEIPT_TYPES = [
+  {
+    format: 'jpeg',
+    mimeType: 'image/jpeg',
+    extension: 'jpg',
+    maxBytes: 5 * MB,
+    matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff
+  },
+  {
+    format: 'png',
+    mimeType: 'image/png',
+    extension: 'png',
+    maxBytes: 8 * MB,
+    matches: bytes => bytes.subarray(0, 8).equals(PNG_SIGNATURE)
+  },
+  {
+    format: 'webp',
+    mimeType: 'image/webp',
+    extension: 'webp',
+    maxBytes: 5 * MB,
+    matches: bytes => bytes.toString('ascii', 0, 4) === 'RIFF' && bytes.toString('ascii', 8, 12) === 'WEBP'
+  }
+];
+
+const MAX_RECEIPT_BYTES = Math.max(...RECEIPT_TYPES.map(type => type.maxBytes));
+
+function detectReceiptType(buffer) {
+  return RECEIPT_TYPES.find(type => buffer.length >= 12 && type.matches(buffer)) || null;
+}
+
+function hashReceipt(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function formatSize(bytes) {
+  return `${Math.round(bytes / MB * 10) / 10}MB`;
+}
+
+// Decodes a data-URL upload and checks what it really is. Returns
+// { status, error } for a bad upload, otherwise the decoded file and its hash.
+async function inspectReceipt(dataUrl) {
+  const match = typeof dataUrl === 'string' && dataUrl.match(/^data:[\w.+-]+\/[\w.+-]+;base64,(.+)$/s);
+  if (!match) {
+    return { status: 400, error: 'Receipt must be a base64 image' };
+  }
+
+  // Base64 is 4 characters for every 3 bytes; no need to decode what is clearly too big
+  if (match[1].length * 3 / 4 > MAX_RECEIPT_BYTES + 3) {
+    return { status: 413, error: `Receipt is larger than ${formatSize(MAX_RECEIPT_BYTES)}` };
+  }
+
+  const buffer = Buffer.from(match[1], 'base64');
+  const type = detectReceiptType(buffer);
+  if (!type) {
+    return { status: 400, error: `Receipt must be one of: ${RECEIPT_TYPES.map(t => t.format).join(', ')}` };
+  }
+  if (buffer.length > type.maxBytes) {
+    return { status: 413, error: `${type.format.toUpperCase()} receipts must be under ${formatSize(type.maxBytes)}` };
+  }
+
+  if (sharp) {
+    try {
+      await sharp(buffer).metadata();
+    } catch (err) {
+      return { status: 400, error: 'Receipt image could not be read' };
+    }
+  }
+
+  return { buffer, type, size: buffer.length, sha256: hashReceipt(buffer) };
+}
+
+async function createThumbnail(buffer) {
+  if (!sharp) return null;
+  return sharp(buffer)
+    .rotate()
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+}
+
+// Writes receipts under `uploadDir` and their thumbnails under
+// `uploadDir`/thumbnails. Filenames returned are relative to `uploadDir`.
+function createReceiptStore({ uploadDir, logger = console }) {
+  const thumbnailDir = path.join(uploadDir, 'thumbnails');
+
+  async function save(inspected, ownerId) {
+    const basename = `receipt-${ownerId}-${Date.now()}${crypto.randomBytes(2).toString('hex')}`;
+    const filename = `${basename}.${inspected.type.extension}`;
+    await fs.writeFile(path.join(uploadDir, filename), inspected.buffer);
+
+    let thumbnail = null;
+    try {
+      const thumbnailData = await createThumbnail(inspected.buffer);
+      if (thumbnailData) {
+        await fs.mkdir(thumbnailDir, { recursive: true });
+        thumbnail = `thumbnails/${basename}.jpg`;
+        await fs.writeFile(path.join(uploadDir, thumbnail), thumbnailData);
+      }
+    } catch (err) {
+      thumbnail = null;
+      logger.error('Receipt thumbnail error:', err);
+    }
+
+    return { filename, thumbnail };
+  }
+
+  // Hash of a receipt already on disk, or null when the file is gone
+  async function hashFile(filename) {
+    try {
+      return hashReceipt(await fs.readFile(path.join(uploadDir, path.basename(filename))));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  // Deletes a saved receipt and its thumbnail; files already gone are ignored
+  async function remove({ filename, thumbnail }) {
+    for (const file of [filename, thumbnail].filter(Boolean)) {
+      await fs.unlink(path.join(uploadDir, file)).catch(err => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    }
+  }
+
+  return { save, hashFile, remove };
+}
+
+module.exports = {
+  RECEIPT_TYPES,
+  detectReceiptType,
+  hashReceipt,
+  inspectReceipt,
+  createReceiptStore,
+  thumbnailsEnabled: Boolean(sharp)
+};
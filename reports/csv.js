@@ -0,0 +1,22 @@
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `columns` is a list of [header, row => value] pairs
+function toCsv(rows, columns) {
+  const lines = [columns.map(([header]) => csvCell(header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(([, value]) => csvCell(value(row))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,120 @@
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+const FONTS = {
+  regular: { id: 'F1', name: 'Helvetica' },
+  bold: { id: 'F2', name: 'Helvetica-Bold' }
+};
+
+// Helvetica advance widths (per 1000 units) for the characters that matter
+// when right-aligning amounts; anything else is measured as an average glyph
+const CHAR_WIDTHS = { ' ': 278, ',': 278, '.': 278, '-': 333, '(': 333, ')': 333 };
+const DIGIT_WIDTH = 556;
+const AVERAGE_WIDTH = 520;
+
+function textWidth(text, size) {
+  const units = [...text].reduce((sum, char) =>
+    sum + (/\d/.test(char) ? DIGIT_WIDTH : CHAR_WIDTHS[char] || AVERAGE_WIDTH), 0);
+  return units * size / 1000;
+}
+
+// The standard fonts only cover Latin-1 here: other characters become '?'.
+// Backslashes and parentheses are escaped for PDF string literals.
+function pdfString(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, '\\$&');
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+// Builds a simple text-and-lines PDF. Coordinates are in points from the top
+// left of the page; every drawing call goes to the page added last.
+function createPdfDocument() {
+  const pages = [];
+
+  function current() {
+    if (pages.length === 0) throw new Error('Add a page before drawing');
+    return pages[pages.length - 1];
+  }
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    addPage() {
+      pages.push([]);
+      return doc;
+    },
+
+    // align 'right' puts the end of the text at x
+    text(x, y, value, { size = 10, bold = false, align = 'left' } = {}) {
+      const text = String(value);
+      const left = align === 'right' ? x - textWidth(text, size) : x;
+      const font = bold ? FONTS.bold : FONTS.regular;
+      current().push(
+        `BT /${font.id} ${formatNumber(size)} Tf ${formatNumber(left)} ${formatNumber(PAGE_HEIGHT - y)} Td (${pdfString(text)}) Tj ET`
+      );
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+      current().push(
+        `${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`
+      );
+      return doc;
+    },
+
+    toBuffer() {
+      const objects = [];
+      const addObject = body => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = addObject(null);
+      const pagesId = addObject(null);
+      const fontIds = {};
+      Object.values(FONTS).forEach(font => {
+        fontIds[font.id] = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`);
+      });
+      const fontResources = Object.entries(fontIds).map(([id, ref]) => `/${id} ${ref} 0 R`).join(' ');
+
+      const pageIds = pages.map(operations => {
+        const content = operations.join('\n');
+        const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+        return addObject(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+        );
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  return doc;
+}
+
+module.exports = {
+  createPdfDocument,
+  textWidth
+};
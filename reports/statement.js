@@ -0,0 +1,276 @@
+const { toCsv } = require('./csv');
+const { createPdfDocument } = require('./pdf');
+
+// How each ledger journal reads on a member's statement. A contribution that
+// carried a late penalty shows as the payment followed by the penalty.
+const ENTRY_TYPES = {
+  opening_balance: 'Opening balance',
+  contribution: 'Payment',
+  referral_bonus: 'Referral bonus',
+  bonus_payout: 'Bonus payout',
+  bonus_clawback: 'Bonus clawback',
+  fee: 'Withdrawal fee',
+  payout: 'Withdrawal'
+};
+const PENALTY_TYPE = 'Penalty';
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function formatAmount(value) {
+  return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : '';
+}
+
+// What a journal did to the member's own accounts, as statement lines
+function journalEntries(journal, prefix, planNames) {
+  const memberLines = journal.lines.filter(line => line.account.startsWith(prefix));
+  const net = roundAmount(memberLines.reduce((sum, line) => sum + line.credit - line.debit, 0));
+  const common = {
+    date: journal.createdAt,
+    description: journal.description || '',
+    planName: planNames[journal.enrollmentId] || '',
+    cycle: journal.savingsCycle || null,
+    reference: Object.values(journal.reference || {})[0] || journal.id
+  };
+
+  if (journal.type === 'contribution') {
+    const penalty = roundAmount(journal.lines
+      .filter(line => !line.account.startsWith(prefix) && line.credit > 0)
+      .reduce((sum, line) => sum + line.credit, 0));
+    const entries = [{ ...common, type: ENTRY_TYPES.contribution, moneyIn: roundAmount(net + penalty), moneyOut: 0 }];
+    if (penalty > 0) {
+      entries.push({ ...common, type: PENALTY_TYPE, description: 'Late payment penalty', moneyIn: 0, moneyOut: penalty });
+    }
+    return entries;
+  }
+
+  return [{
+    ...common,
+    type: ENTRY_TYPES[journal.type] || journal.type,
+    moneyIn: Math.max(net, 0),
+    moneyOut: Math.max(-net, 0)
+  }];
+}
+
+// A member's statement from their ledger journals, either for a date range
+// (`from`/`to`, both optional Dates) or for one savings cycle of one
+// enrolment. Date-range statements open with the balance before `from`;
+// cycle statements cover only that plan and start from zero.
+function buildStatement({ user, journals, plans, config, from = null, to = null, enrollmentId = null, cycle = null }) {
+  const prefix = `member:${user.id}:`;
+  const planNames = Object.fromEntries((user.enrollments || []).map(enrollment => {
+    const plan = plans.find(p => p.id === enrollment.planId);
+    return [enrollment.id, plan ? plan.name : enrollment.planId];
+  }));
+
+  const sorted = [...journals].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  const byCycle = enrollmentId !== null;
+  const included = sorted.filter(journal => {
+    if (byCycle) {
+      return journal.enrollmentId === enrollmentId && journal.savingsCycle === cycle;
+    }
+    const createdAt = new Date(journal.createdAt);
+    return (!from || createdAt >= from) && (!to || createdAt <= to);
+  });
+
+  const openingBalance = byCycle || !from ?
+    0 :
+    roundAmount(sorted
+      .filter(journal => new Date(journal.createdAt) < from)
+      .flatMap(journal => journalEntries(journal, prefix, planNames))
+      .reduce((sum, entry) => sum + entry.moneyIn - entry.moneyOut, 0));
+
+  let balance = openingBalance;
+  const totals = { moneyIn: 0, moneyOut: 0, byType: {} };
+  const entries = included
+    .flatMap(journal => journalEntries(journal, prefix, planNames))
+    .map(entry => {
+      balance = roundAmount(balance + entry.moneyIn - entry.moneyOut);
+      totals.moneyIn = roundAmount(totals.moneyIn + entry.moneyIn);
+      totals.moneyOut = roundAmount(totals.moneyOut + entry.moneyOut);
+      totals.byType[entry.type] = roundAmount((totals.byType[entry.type] || 0) + entry.moneyIn + entry.moneyOut);
+      return { ...entry, balance };
+    });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    currency: 'NGN',
+    member: {
+      id: user.id,
+      name: `${user.firstName} ${user.lastName}`,
+      email: user.email,
+      phone: user.phone,
+      bankName: user.bankName || null,
+      accountNumber: user.accountNumber || null,
+      accountName: user.accountName || null
+    },
+    company: config.companyBankDetails || {},
+    period: byCycle ?
+      { enrollmentId, planName: planNames[enrollmentId] || null, cycle } :
+      { from: from ? from.toISOString() : null, to: to ? to.toISOString() : null },
+    openingBalance,
+    closingBalance: balance,
+    totals,
+    entries
+  };
+}
+
+function describePeriod(statement) {
+  const { period } = statement;
+  if (period.enrollmentId) return `${period.planName}, savings cycle ${period.cycle}`;
+  if (!period.from && !period.to) return 'All activity';
+  return `${period.from ? formatDate(period.from) : 'Start'} to ${period.to ? formatDate(period.to) : formatDate(statement.generatedAt)}`;
+}
+
+const CSV_COLUMNS = [
+  ['Date', entry => formatDate(entry.date)],
+  ['Type', entry => entry.type],
+  ['Description', entry => entry.description],
+  ['Plan', entry => entry.planName],
+  ['Cycle', entry => entry.cycle],
+  ['Reference', entry => entry.reference],
+  ['Money In', entry => entry.moneyIn.toFixed(2)],
+  ['Money Out', entry => entry.moneyOut.toFixed(2)],
+  ['Balance', entry => entry.balance.toFixed(2)]
+];
+
+// Statement details as field/value rows, a blank line, then the entries
+function statementToCsv(statement) {
+  const { member, company } = statement;
+  const details = [
+    ['Statement', describePeriod(statement)],
+    ['Generated', statement.generatedAt],
+    ['Member', member.name],
+    ['Email', member.email],
+    ['Phone', member.phone],
+    ['Payout Account', [member.bankName, member.accountNumber, member.accountName].filter(Boolean).join(' / ')],
+    ['Company Bank', company.bankName],
+    ['Company Account Number', company.accountNumber],
+    ['Company Account Name', company.accountName],
+    ['Currency', statement.currency],
+    ['Opening Balance', statement.openingBalance.toFixed(2)],
+    ['Total In', statement.totals.moneyIn.toFixed(2)],
+    ['Total Out', statement.totals.moneyOut.toFixed(2)],
+    ['Closing Balance', statement.closingBalance.toFixed(2)]
+  ];
+
+  return toCsv(details, [['Field', row => row[0]], ['Value', row => row[1]]]) +
+    '\r\n' +
+    toCsv(statement.entries, CSV_COLUMNS);
+}
+
+const MARGIN = 40;
+const ROW_HEIGHT = 16;
+const TABLE_BOTTOM = 790;
+const FIRST_PAGE_TABLE_TOP = 300;
+const PAGE_TABLE_TOP = 60;
+const DESCRIPTION_CHARS = 40;
+const TABLE_COLUMNS = [
+  { header: 'Date', x: MARGIN },
+  { header: 'Type', x: 100 },
+  { header: 'Description', x: 185 },
+  { header: 'Money In', x: 430, align: 'right' },
+  { header: 'Money Out', x: 490, align: 'right' },
+  { header: 'Balance', x: 555, align: 'right' }
+];
+
+// Fits text in a column. The PDF's standard fonts have no naira sign.
+function truncate(text, length) {
+  const plain = text.replace(/₦\s?/g, 'NGN ');
+  return plain.length > length ? `${plain.slice(0, length - 3)}...` : plain;
+}
+
+// Draws the column headers at `top` and returns where the first row goes
+function drawTableHeader(doc, top) {
+  TABLE_COLUMNS.forEach(column => doc.text(column.x, top, column.header, { size: 9, bold: true, align: column.align }));
+  doc.line(MARGIN, top + 5, doc.width - MARGIN, top + 5);
+  return firstRowBelow(top);
+}
+
+function firstRowBelow(top) {
+  return top + ROW_HEIGHT + 2;
+}
+
+// How many rows fit under a table header at `top`
+function rowsBelow(top) {
+  return Math.floor((TABLE_BOTTOM - firstRowBelow(top)) / ROW_HEIGHT) + 1;
+}
+
+function statementToPdf(statement) {
+  const { member, company, totals } = statement;
+  const rowsPerFirstPage = rowsBelow(FIRST_PAGE_TABLE_TOP);
+  const rowsPerPage = rowsBelow(PAGE_TABLE_TOP);
+  const pageCount = 1 + Math.max(Math.ceil((statement.entries.length - rowsPerFirstPage) / rowsPerPage), 0);
+  const doc = createPdfDocument().addPage();
+
+  doc.text(MARGIN, 55, 'RichMore Now', { size: 18, bold: true });
+  doc.text(MARGIN, 75, 'Account Statement', { size: 12 });
+  doc.text(doc.width - MARGIN, 55, `Generated ${formatDate(statement.generatedAt)}`, { size: 9, align: 'right' });
+  doc.text(doc.width - MARGIN, 70, describePeriod(statement), { size: 9, align: 'right' });
+  doc.line(MARGIN, 88, doc.width - MARGIN, 88, { width: 1 });
+
+  doc.text(MARGIN, 110, 'Member', { size: 10, bold: true });
+  [
+    member.name,
+    member.email,
+    member.phone,
+    [member.bankName, member.accountNumber].filter(Boolean).join(' '),
+    member.accountName
+  ].filter(Boolean).forEach((line, index) => doc.text(MARGIN, 125 + index * 13, line, { size: 9 }));
+
+  doc.text(320, 110, 'Company Bank Details', { size: 10, bold: true });
+  [company.bankName, company.accountNumber, company.accountName]
+    .filter(Boolean)
+    .forEach((line, index) => doc.text(320, 125 + index * 13, line, { size: 9 }));
+
+  doc.text(MARGIN, 205, `Summary (${statement.currency})`, { size: 10, bold: true });
+  [
+    ['Opening balance', statement.openingBalance],
+    ['Money in', totals.moneyIn],
+    ['Money out', totals.moneyOut],
+    ['Closing balance', statement.closingBalance]
+  ].forEach(([label, value], index) => {
+    doc.text(MARGIN, 220 + index * 13, label, { size: 9, bold: index === 3 });
+    doc.text(220, 220 + index * 13, formatAmount(value), { size: 9, bold: index === 3, align: 'right' });
+  });
+
+  let page = 1;
+  let y = drawTableHeader(doc, FIRST_PAGE_TABLE_TOP);
+  const footer = () => doc.text(doc.width - MARGIN, 820, `Page ${page} of ${pageCount}`, { size: 8, align: 'right' });
+
+  if (statement.entries.length === 0) {
+    doc.text(MARGIN, y, 'No activity in this period', { size: 9 });
+  }
+  statement.entries.forEach(entry => {
+    if (y > TABLE_BOTTOM) {
+      footer();
+      doc.addPage();
+      page++;
+      y = drawTableHeader(doc, PAGE_TABLE_TOP);
+    }
+    const cells = [
+      formatDate(entry.date),
+      entry.type,
+      truncate(entry.description, DESCRIPTION_CHARS),
+      entry.moneyIn ? formatAmount(entry.moneyIn) : '',
+      entry.moneyOut ? formatAmount(entry.moneyOut) : '',
+      formatAmount(entry.balance)
+    ];
+    TABLE_COLUMNS.forEach((column, index) => doc.text(column.x, y, cells[index], { size: 8, align: column.align }));
+    y += ROW_HEIGHT;
+  });
+  footer();
+
+  return doc.toBuffer();
+}
+
+module.exports = {
+  buildStatement,
+  statementToCsv,
+  statementToPdf
+};
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// Imports the data/*.json files into the SQLite database used by STORAGE_DRIVER=sqlite.
+//
+//   npm run migrate -- [--data-dir data] [--db db/richmore.db] [--force]
+//
+// Every collection is read back after the import and compared with the source
+// files, and the process exits non-zero if anything differs.
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { COLLECTIONS, createStorage } = require('../storage');
+
+function parseArgs(argv) {
+  const args = { force: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--data-dir':
+        args.dataDir = path.resolve(argv[++i]);
+        break;
+      case '--db':
+        args.sqlitePath = path.resolve(argv[++i]);
+        break;
+      case '--force':
+        args.force = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+async function migrate() {
+  const args = parseArgs(process.argv.slice(2));
+  const source = createStorage({ driver: 'json', dataDir: args.dataDir });
+  const target = createStorage({ driver: 'sqlite', sqlitePath: args.sqlitePath });
+
+  try {
+    if (!args.force) {
+      for (const name of Object.keys(COLLECTIONS)) {
+        if (await target[name].count() > 0) {
+          throw new Error(`Target database already has ${name} records. Re-run with --force to overwrite.`);
+        }
+      }
+    }
+
+    const mismatches = [];
+
+    for (const name of Object.keys(COLLECTIONS)) {
+      const records = await source[name].list();
+      await target[name].replaceAll(records);
+
+      const imported = await target[name].list();
+      if (!isDeepStrictEqual(records, imported)) {
+        mismatches.push(name);
+      }
+      console.log(`${COLLECTIONS[name].padEnd(20)} ${records.length} record(s)`);
+    }
+
+    const config = await source.config.get();
+    await target.config.set(config);
+    if (!isDeepStrictEqual(config, await target.config.get())) {
+      mismatches.push('config');
+    }
+    console.log(`${'config.json'.padEnd(20)} imported`);
+
+    if (mismatches.length > 0) {
+      throw new Error(`Imported data differs from the source for: ${mismatches.join(', ')}`);
+    }
+
+    console.log('✅ Migration complete. Start the server with STORAGE_DRIVER=sqlite to use it.');
+  } finally {
+    source.close();
+    target.close();
+  }
+}
+
+migrate().catch(err => {
+  console.error('❌ Migration failed:', err.message);
+  process.exit(1);
+});
@@ -2,11 +2,62 @@ const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { promisify } = require('util');
 const fileUpload = require('express-fileupload');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const { createStorage, matches: matchesCriteria } = require('./storage');
+const { generateId } = require('./storage/ids');
+const { createScheduler } = require('./jobs/scheduler');
+const {
+  resolvePenaltyPolicy,
+  validatePenaltyPolicy,
+  addPeriods,
+  calculatePaymentSchedule
+} = require('./billing/penalties');
+const {
+  DEFAULT_PLAN_ID,
+  buildDefaultPlan,
+  validatePlan,
+  requiredContributions,
+  createEnrollment,
+  getActiveEnrollments,
+  getPrimaryEnrollment,
+  findEnrollment,
+  isWithdrawalEligible
+} = require('./billing/plans');
+const {
+  ACCOUNTS,
+  debit,
+  credit,
+  createJournal,
+  deriveMemberState,
+  trialBalance
+} = require('./billing/ledger');
+const {
+  OPEN_WITHDRAWAL_STATUSES,
+  LEGACY_WITHDRAWAL_STATUSES,
+  DISPUTE_RESOLUTIONS,
+  DISPUTE_CLOSE_OUTCOMES,
+  canTransition,
+  isOpenWithdrawal,
+  calculateWithdrawalPayout,
+  transitionWithdrawal
+} = require('./billing/withdrawals');
+const { NIGERIAN_BANKS, findBank, validateBankDetails } = require('./billing/banks');
+const { inspectReceipt, createReceiptStore, thumbnailsEnabled } = require('./receipts/pipeline');
+const { createAuditTrail } = require('./audit/trail');
+const { buildStatement, statementToCsv, statementToPdf } = require('./reports/statement');
+const { PAYMENT_EVENTS, createPaymentGateway } = require('./payments/gateway');
+const { DEFAULT_CHANNEL_PREFERENCES, createNotificationDispatcher } = require('./notifications/dispatcher');
+const { createEmailChannel, createSmsChannel } = require('./notifications/channels');
+const { createOtpService } = require('./verification/otp');
 
 const app = express();
+const storage = createStorage();
+const scheduler = createScheduler({ storage });
+const receiptStore = createReceiptStore({ uploadDir: path.join(__dirname, 'uploads') });
+const auditTrail = createAuditTrail({ storage });
 const httpServer = createServer(app);
 const io = new Server(httpServer, {
   cors: {
@@ -16,10 +67,92 @@ const io = new Server(httpServer, {
 });
 
 const PORT = process.env.PORT || 3000;
-const SECRET_KEY = 'richmore-secret-key-2023';
-const MONTHLY_PAYMENT = 12000;
-const PENALTY_RATE = 2;
-const REFERRAL_BONUS_PERCENTAGE = 5;
+const SECRET_KEY = process.env.SECRET_KEY || crypto.randomBytes(32).toString('hex');
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const ACCESS_TOKEN_TTL_MS = 60 * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const RECEIPT_URL_TTL_MS = 15 * 60 * 1000;
+const PAYMENT_CURRENCY = 'NGN';
+
+// Online payments are off unless PAYMENT_PROVIDER names a provider;
+// members then pay by uploading a receipt
+const paymentGateway = process.env.PAYMENT_PROVIDER ?
+  createPaymentGateway({
+    provider: process.env.PAYMENT_PROVIDER,
+    production: process.env.NODE_ENV === 'production',
+    secret: process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex')
+  }) :
+  null;
+
+// Email goes out once SMTP_HOST is set, SMS once SMS_PROVIDER is
+const notificationChannels = [];
+if (process.env.SMTP_HOST) {
+  notificationChannels.push(createEmailChannel({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || 'RichMore Now <no-reply@richmorenow.com>'
+  }));
+}
+if (process.env.SMS_PROVIDER) {
+  notificationChannels.push(createSmsChannel({
+    provider: process.env.SMS_PROVIDER,
+    file: process.env.SMS_OUTBOX_FILE || path.join(__dirname, 'data', 'sms_outbox.jsonl')
+  }));
+}
+const notificationDispatcher = createNotificationDispatcher({ storage, channels: notificationChannels });
+const otpService = createOtpService({
+  storage,
+  secret: SECRET_KEY,
+  send: ({ channel, ...message }) => notificationDispatcher.sendNow(channel, message)
+});
+
+const scryptAsync = promisify(crypto.scrypt);
+
+const ADMIN_PERMISSIONS = [
+  'dashboard.view',
+  'users.view',
+  'users.verify',
+  'users.remind',
+  'payments.view',
+  'payments.approve',
+  'payments.reject',
+  'withdrawals.view',
+  'withdrawals.process',
+  'penalties.waive',
+  'plans.manage',
+  'referrals.view',
+  'referrals.manage',
+  'config.edit',
+  'roles.manage',
+  'jobs.view',
+  'jobs.run',
+  'ledger.view',
+  'audit.view',
+  'notifications.view'
+];
+
+const ADMIN_ROLES = {
+  super_admin: {
+    name: 'Super Admin',
+    permissions: ADMIN_PERMISSIONS
+  },
+  payment_reviewer: {
+    name: 'Payment Reviewer',
+    permissions: ['dashboard.view', 'users.view', 'payments.view', 'payments.approve', 'payments.reject', 'penalties.waive', 'referrals.view', 'notifications.view']
+  },
+  withdrawal_officer: {
+    name: 'Withdrawal Officer',
+    permissions: ['dashboard.view', 'users.view', 'withdrawals.view', 'withdrawals.process', 'referrals.view', 'referrals.manage', 'notifications.view']
+  },
+  support: {
+    name: 'Support',
+    permissions: ['dashboard.view', 'users.view', 'users.verify', 'users.remind', 'notifications.view']
+  }
+};
 
 const initDirectories = async () => {
   const directories = [
@@ -41,60 +174,177 @@ const initDirectories = async () => {
   }
 };
 
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
+// Receipts are the largest bodies: 8MB of image is about 11MB of base64.
+// Webhook signatures are checked against the body exactly as it was sent.
+app.use(express.json({
+  limit: '12mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) req.rawBody = buf;
+  }
+}));
+app.use(express.urlencoded({ limit: '12mb', extended: true }));
 app.use(fileUpload());
 app.use(express.static(path.join(__dirname, 'public')));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-app.use('/data', express.static(path.join(__dirname, 'data')));
-
-async function readJsonFile(filename) {
-  const defaultData = {
-    'users.json': [],
-    'transactions.json': [],
-    'savings_plans.json': [],
-    'withdrawals.json': [],
-    'receipts.json': [],
-    'notifications.json': [],
-    'config.json': {
-      companyBankDetails: {
-        bankName: "RichMore Savings Bank",
-        accountNumber: "2740050371",
-        accountName: "Richmore multistream business network"
-      },
-      monthlyPaymentAmount: 12000,
-      withdrawalProcessingFee: 500,
-      penaltyMultiplier: 2,
-      paymentReminderDays: 3,
-      appSettings: {
-        minPasswordLength: 6,
-        maxLoginAttempts: 5
-      }
-    }
-  };
+// Every admin change is logged, including attempts that were refused
+app.use('/api/admin', auditTrail.middleware);
+
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', SECRET_KEY).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+function verifyToken(token) {
+  const [body, signature] = String(token).split('.');
+  if (!body || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', SECRET_KEY).update(body).digest('base64url');
+  const signatureBuffer = Buffer.from(signature);
+  const expectedBuffer = Buffer.from(expected);
+  if (signatureBuffer.length !== expectedBuffer.length ||
+      !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+    return null;
+  }
 
   try {
-    const filePath = path.join(__dirname, 'data', filename);
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp < Date.now()) return null;
+    return payload;
   } catch (err) {
-    if (err.code === 'ENOENT') {
-      return defaultData[filename] || [];
-    }
-    throw err;
+    return null;
+  }
+}
+
+// Receipt images are served only through these URLs: an <img> can't send the
+// bearer token, so the signature stands in for it until the URL expires
+function signReceiptUrl(receiptId, variant = 'original') {
+  const expires = Date.now() + RECEIPT_URL_TTL_MS;
+  const signature = crypto.createHmac('sha256', SECRET_KEY)
+    .update(`receipt:${receiptId}:${variant}:${expires}`)
+    .digest('base64url');
+  return `/api/receipts/${receiptId}/image?variant=${variant}&expires=${expires}&signature=${signature}`;
+}
+
+function verifyReceiptSignature(receiptId, { variant, expires, signature }) {
+  if (!signature || !(Number(expires) > Date.now())) return false;
+
+  const expected = crypto.createHmac('sha256', SECRET_KEY)
+    .update(`receipt:${receiptId}:${variant}:${expires}`)
+    .digest('base64url');
+  const signatureBuffer = Buffer.from(String(signature));
+  const expectedBuffer = Buffer.from(expected);
+  return signatureBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(signatureBuffer, expectedBuffer);
+}
+
+// Signed links for the receipt attached to a payment or withdrawal
+function withReceiptUrls(record) {
+  return {
+    ...record,
+    receiptUrl: record.receiptId ? signReceiptUrl(record.receiptId) : null,
+    receiptThumbnailUrl: record.receiptId && record.receiptThumbnail ?
+      signReceiptUrl(record.receiptId, 'thumbnail') :
+      null
+  };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateToken(user, sessionId) {
+  const issuedAt = Date.now();
+  return signToken({
+    sub: user.id,
+    sid: sessionId,
+    iat: issuedAt,
+    exp: issuedAt + ACCESS_TOKEN_TTL_MS
+  });
+}
+
+function isSessionActive(session) {
+  return !session.revokedAt && new Date(session.expiresAt) > new Date();
+}
+
+async function createSession(user, req) {
+  const sessionId = `sess_${crypto.randomBytes(12).toString('hex')}`;
+  const refreshToken = `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+  const now = new Date();
+
+  // Drop this user's sessions that can no longer be used so the store doesn't grow forever
+  const staleSessions = (await storage.sessions.findBy({ userId: user.id }))
+    .filter(session => !isSessionActive(session));
+  for (const session of staleSessions) {
+    await storage.sessions.remove(session.id);
   }
+
+  await storage.sessions.insert({
+    id: sessionId,
+    userId: user.id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.headers['user-agent'] || null,
+    ip: req.ip,
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS).toISOString(),
+    revokedAt: null
+  });
+
+  return {
+    token: generateToken(user, sessionId),
+    refreshToken,
+    expiresAt: new Date(now.getTime() + ACCESS_TOKEN_TTL_MS).toISOString()
+  };
+}
+
+async function revokeSessions(predicate) {
+  const revoked = await storage.sessions.updateWhere(
+    session => !session.revokedAt && predicate(session),
+    { revokedAt: new Date().toISOString() }
+  );
+  return revoked.length;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derivedKey = await scryptAsync(password, salt, 64);
+  return `${salt}:${derivedKey.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+  if (!password || !storedHash) return false;
+
+  const [salt, key] = storedHash.split(':');
+  if (!salt || !key) return false;
+
+  const keyBuffer = Buffer.from(key, 'hex');
+  const derivedKey = await scryptAsync(password, salt, keyBuffer.length);
+  return crypto.timingSafeEqual(keyBuffer, derivedKey);
+}
+
+async function getAppSettings() {
+  const config = await storage.config.get();
+  return {
+    minPasswordLength: 6,
+    maxLoginAttempts: 5,
+    ...(config.appSettings || {})
+  };
 }
 
-async function writeJsonFile(filename, data) {
-  const filePath = path.join(__dirname, 'data', filename);
-  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-  emitFileUpdate(filename, data);
+function validatePassword(password, appSettings) {
+  if (!password || typeof password !== 'string') {
+    return 'Password is required';
+  }
+  if (password.length < appSettings.minPasswordLength) {
+    return `Password must be at least ${appSettings.minPasswordLength} characters`;
+  }
+  return null;
 }
 
-function generateToken(user) {
-  return crypto.createHash('sha256')
-    .update(`${user.id}${user.email}${SECRET_KEY}`)
-    .digest('hex');
+// Strip credential fields before a user record leaves the server
+function sanitizeUser(user) {
+  const { passwordHash, passwordReset, ...safeUser } = user;
+  return safeUser;
 }
 
 function generateReferralCode(firstName) {
@@ -107,113 +357,441 @@ function generateReferralCode(firstName) {
   return `${prefix}-${randomPart}`;
 }
 
-async function saveBase64Image(base64Data, userId) {
-  try {
-    const matches = base64Data.match(/^data:image\/(\w+);base64,(.+)$/);
-    if (!matches || matches.length !== 3) {
-      throw new Error('Invalid base64 image data');
+// Checks an uploaded receipt and writes it and its thumbnail to disk.
+// Returns { status, error } for a bad upload, otherwise the receipt record
+// to register once the payment or withdrawal it belongs to exists.
+async function acceptReceipt(dataUrl, { userId, uploadedBy, purpose }) {
+  const inspected = await inspectReceipt(dataUrl);
+  if (inspected.error) return inspected;
+
+  const { filename, thumbnail } = await receiptStore.save(inspected, userId);
+  return {
+    receipt: {
+      id: generateId('rcpt'),
+      userId,
+      uploadedBy,
+      purpose,
+      filename,
+      thumbnail,
+      mimeType: inspected.type.mimeType,
+      size: inspected.size,
+      sha256: inspected.sha256,
+      transactionId: null,
+      withdrawalId: null,
+      disputeId: null,
+      duplicateOf: [],
+      // Only payment receipts are reviewed; a withdrawal receipt is the admin's own proof
+      status: purpose === 'payment' ? 'pending' : 'not_required',
+      reviewedBy: null,
+      reviewedAt: null,
+      createdAt: new Date().toISOString()
     }
+  };
+}
 
-    const imageType = matches[1];
-    const imageData = matches[2];
-    const buffer = Buffer.from(imageData, 'base64');
-    const filename = `receipt-${userId}-${Date.now()}.${imageType}`;
-    const filePath = path.join(__dirname, 'uploads', filename);
+// Deletes the files of a receipt that was saved for a request that was then refused
+function discardReceipt(receipt) {
+  if (!receipt) return;
+  receiptStore.remove(receipt).catch(err => console.error('Receipt cleanup error:', err));
+}
 
-    await fs.writeFile(filePath, buffer);
-    return filename;
-  } catch (error) {
-    console.error('Error saving image:', error);
-    throw error;
+// Links a receipt to its payment, withdrawal or dispute and records it. A payment
+// receipt whose file was already used for another payment is flagged, not
+// refused: the reviewer decides. Must run inside a transaction that includes receipts.
+async function registerReceipt(tx, receipt, link) {
+  let duplicateOf = [];
+  if (receipt.purpose === 'payment') {
+    duplicateOf = (await tx.receipts.findBy({ sha256: receipt.sha256, purpose: 'payment' }))
+      .filter(earlier => earlier.transactionId !== link.transactionId)
+      .map(earlier => earlier.id);
   }
+  return tx.receipts.insert({ ...receipt, ...link, duplicateOf });
 }
 
-function calculateNextPayment(user, lastPaymentDate) {
-  const now = new Date();
-  const lastPayment = new Date(lastPaymentDate);
-  
-  const daysSinceLastPayment = Math.floor((now - lastPayment) / (1000 * 60 * 60 * 24));
-  const isOverdue = daysSinceLastPayment > 30;
-  const overdueMonths = isOverdue ? Math.floor(daysSinceLastPayment / 30) : 0;
-  
-  const nextPaymentDate = new Date(lastPayment);
-  nextPaymentDate.setDate(lastPayment.getDate() + 30);
-  
-  const baseAmount = MONTHLY_PAYMENT;
-  const penaltyAmount = isOverdue ? baseAmount * PENALTY_RATE * overdueMonths : 0;
-  const totalAmount = baseAmount + penaltyAmount;
-  
-  const daysUntilNextPayment = Math.ceil((nextPaymentDate - now) / (1000 * 60 * 60 * 24));
-  
+// Due dates run from the cycle's first payment, one period per contribution
+function calculateNextPayment(enrollment, plan, config) {
+  const schedule = calculatePaymentSchedule({
+    cycleStartDate: enrollment.cycleStartDate,
+    contributionsMade: Math.max(enrollment.contributionsCompletedCurrentCycle || 0, 1),
+    baseAmount: plan.amount,
+    frequency: plan.frequency,
+    policy: resolvePenaltyPolicy(config),
+    waivers: enrollment.penaltyWaivers || []
+  });
+  return { ...schedule, lastPaymentDate: enrollment.lastPaymentDate };
+}
+
+// What the user owes for their next contribution to a plan, as charged by POST /api/payments
+function getPaymentDue(enrollment, plan, config) {
+  const baseAmount = plan.amount;
+  if (!enrollment.lastPaymentDate) {
+    return { baseAmount, penaltyAmount: 0, totalAmount: baseAmount, penaltyBreakdown: null };
+  }
+
+  const { penaltyAmount, totalAmount, penaltyBreakdown } = calculateNextPayment(enrollment, plan, config);
+  return { baseAmount, penaltyAmount, totalAmount, penaltyBreakdown };
+}
+
+async function getSavingsPlans() {
+  return storage.savingsPlans.list();
+}
+
+function findPlan(plans, planId) {
+  return plans.find(plan => plan.id === planId) || null;
+}
+
+// The enrolment a request is about (the primary one unless enrollmentId is
+// given) together with its plan, or null when either is missing
+function resolveEnrollment(user, plans, enrollmentId) {
+  const enrollment = findEnrollment(user, enrollmentId);
+  const plan = enrollment && findPlan(plans, enrollment.planId);
+  return enrollment && plan ? { enrollment, plan } : null;
+}
+
+function updateEnrollment(user, enrollmentId, changes) {
+  user.enrollments = (user.enrollments || []).map(enrollment =>
+    enrollment.id === enrollmentId ? { ...enrollment, ...changes } : enrollment
+  );
+  return user;
+}
+
+function hasEligibleEnrollment(user, plans) {
+  return getActiveEnrollments(user).some(enrollment =>
+    isWithdrawalEligible(enrollment, findPlan(plans, enrollment.planId))
+  );
+}
+
+function hasOverdueEnrollment(user, plans, config) {
+  return getActiveEnrollments(user).some(enrollment => {
+    const plan = findPlan(plans, enrollment.planId);
+    return plan && enrollment.lastPaymentDate && calculateNextPayment(enrollment, plan, config).isOverdue;
+  });
+}
+
+// An enrolment with its plan and where it stands, as returned by the API
+function describeEnrollment(enrollment, plans, config) {
+  const plan = findPlan(plans, enrollment.planId);
+  if (!plan) return { ...enrollment, plan: null };
+
+  return {
+    ...enrollment,
+    plan: {
+      id: plan.id,
+      name: plan.name,
+      amount: plan.amount,
+      frequency: plan.frequency,
+      contributions: plan.contributions,
+      withdrawalRules: plan.withdrawalRules
+    },
+    contributionsRequired: requiredContributions(plan),
+    isEligible: isWithdrawalEligible(enrollment, plan),
+    nextPaymentInfo: enrollment.lastPaymentDate ? calculateNextPayment(enrollment, plan, config) : null
+  };
+}
+
+function getReferrerDisplayName(user) {
+  return `${user.firstName} ${user.lastName.charAt(0).toUpperCase()}.`;
+}
+
+const REFERRAL_BONUS_TYPES = ['flat', 'percentage', 'first_payment'];
+
+// Older configs only carry a flat referralBonus amount
+function getReferralBonusPolicy(config) {
+  return {
+    type: 'first_payment',
+    amount: config.referralBonus || 2000,
+    percentage: 5,
+    ...(config.referralBonusPolicy || {})
+  };
+}
+
+// The bonus a referrer earns for an approved payment, or 0 when the policy
+// doesn't pay for it. Must run inside a transaction that includes referralBonuses.
+async function calculateReferralBonus(tx, payment, policy) {
+  switch(policy.type) {
+    case 'flat':
+      return policy.amount;
+    case 'percentage':
+      return Math.round((payment.baseAmount || payment.amount) * policy.percentage) / 100;
+    case 'first_payment': {
+      const earlier = await tx.referralBonuses.filter(bonus =>
+        bonus.refereeId === payment.userId && bonus.status !== 'clawed_back'
+      );
+      return earlier.length === 0 ? policy.amount : 0;
+    }
+    default:
+      return 0;
+  }
+}
+
+function summarizeReferralBonuses(bonuses) {
+  const sum = status => bonuses
+    .filter(bonus => bonus.status === status)
+    .reduce((total, bonus) => total + bonus.amount, 0);
+
+  return {
+    earned: sum('earned'),
+    paid: sum('paid'),
+    clawedBack: sum('clawed_back'),
+    total: sum('earned') + sum('paid')
+  };
+}
+
+// Records a journal in the ledger and refreshes the member's stored balance
+// and cycle totals from it. Must run inside a transaction that includes
+// users and ledgerEntries.
+async function postLedgerEntry(tx, journal) {
+  await tx.ledgerEntries.insert(journal);
+  if (journal.userId) {
+    await syncMemberBalances(tx, journal.userId);
+  }
+  return journal;
+}
+
+async function syncMemberBalances(tx, userId) {
+  const journals = await tx.ledgerEntries.findBy({ userId });
+  return tx.users.update(userId, user => {
+    const derived = deriveMemberState(user, journals);
+    user.balance = derived.balance;
+    derived.enrollments.forEach(({ id, ...totals }) => updateEnrollment(user, id, totals));
+  });
+}
+
+function contributionJournal(payment, enrollment, postedBy) {
+  const penaltyAmount = payment.penaltyAmount || 0;
+  return createJournal({
+    type: 'contribution',
+    userId: payment.userId,
+    enrollmentId: enrollment.id,
+    savingsCycle: payment.savingsCycle || enrollment.savingsCycle,
+    contributions: 1,
+    reference: { transactionId: payment.id },
+    description: payment.description || 'Contribution',
+    createdBy: postedBy,
+    lines: [
+      debit(ACCOUNTS.bank, payment.amount),
+      credit(ACCOUNTS.savings(payment.userId, enrollment.id), payment.amount - penaltyAmount),
+      credit(ACCOUNTS.penaltyIncome, penaltyAmount)
+    ]
+  });
+}
+
+// Closes a confirmed withdrawal's savings: the fee goes to income and the
+// rest to the bank. Withdrawals from before fees existed carry only `amount`.
+async function postWithdrawalPayout(tx, withdrawal, enrollment) {
+  const fee = withdrawal.fee || 0;
+  const netAmount = withdrawal.grossAmount !== undefined ? withdrawal.grossAmount - fee : withdrawal.amount;
+  const savings = ACCOUNTS.savings(withdrawal.userId, enrollment.id);
+  const details = {
+    userId: withdrawal.userId,
+    enrollmentId: enrollment.id,
+    savingsCycle: withdrawal.savingsCycle || enrollment.savingsCycle,
+    reference: { withdrawalId: withdrawal.id },
+    createdBy: withdrawal.userId
+  };
+
+  if (fee > 0) {
+    await tx.ledgerEntries.insert(createJournal({
+      ...details,
+      type: 'fee',
+      description: 'Withdrawal processing fee',
+      lines: [debit(savings, fee), credit(ACCOUNTS.feeIncome, fee)]
+    }));
+  }
+  if (netAmount > 0) {
+    await tx.ledgerEntries.insert(createJournal({
+      ...details,
+      type: 'payout',
+      description: 'Withdrawal payout',
+      lines: [debit(savings, netAmount), credit(ACCOUNTS.bank, netAmount)]
+    }));
+  }
+  return syncMemberBalances(tx, withdrawal.userId);
+}
+
+// Closes the savings cycle a confirmed withdrawal paid out: the plan starts
+// its next cycle, the payout is posted and the cycle's transactions are
+// archived. Must run inside a transaction that includes users, transactions
+// and ledgerEntries.
+async function settleWithdrawal(tx, withdrawal) {
+  const user = await tx.users.findById(withdrawal.userId);
+  const enrollment = findEnrollment(user, withdrawal.enrollmentId);
+  if (enrollment) {
+    // Start the next cycle, then pay out of the one that ended; the totals
+    // reset as the payout empties the savings account
+    await tx.users.update(user.id, current => updateEnrollment(current, enrollment.id, {
+      lastPaymentDate: null,
+      cycleStartDate: null,
+      isPaymentOverdue: false,
+      overdueAmount: 0,
+      paymentReminders: null,
+      savingsCycle: enrollment.savingsCycle + 1
+    }));
+    await postWithdrawalPayout(tx, withdrawal, enrollment);
+  }
+
+  await tx.transactions.updateWhere(
+    t => t.userId === withdrawal.userId && t.enrollmentId === withdrawal.enrollmentId,
+    { archived: true }
+  );
+}
+
+function withDisputeUrls(dispute) {
   return {
-    nextPaymentDate: nextPaymentDate.toISOString(),
-    daysUntilNextPayment,
-    isOverdue,
-    overdueMonths,
-    baseAmount,
-    penaltyAmount,
-    totalAmount,
-    lastPaymentDate: lastPaymentDate
+    ...dispute,
+    evidenceUrl: dispute.evidenceReceiptId ? signReceiptUrl(dispute.evidenceReceiptId) : null,
+    evidenceThumbnailUrl: dispute.evidenceReceiptId && dispute.evidenceThumbnail ?
+      signReceiptUrl(dispute.evidenceReceiptId, 'thumbnail') :
+      null
   };
 }
 
-function emitFileUpdate(filename, data) {
-  const eventName = filename.replace('.json', '') + 'Update';
-  io.emit(eventName, { filename, data, timestamp: new Date().toISOString() });
-  
-  switch(filename) {
-    case 'users.json':
-      io.to('admin').emit('usersUpdate', data);
+// Earned, paid out and clawed back bonuses all post against the referrer's
+// bonus account; a clawback after payout leaves it owing the difference
+function referralBonusJournal(type, bonus, postedBy, description) {
+  const account = ACCOUNTS.bonus(bonus.referrerId);
+  const lines = {
+    referral_bonus: [debit(ACCOUNTS.referralExpense, bonus.amount), credit(account, bonus.amount)],
+    bonus_payout: [debit(account, bonus.amount), credit(ACCOUNTS.bank, bonus.amount)],
+    bonus_clawback: [debit(account, bonus.amount), credit(ACCOUNTS.referralExpense, bonus.amount)]
+  }[type];
+
+  return createJournal({
+    type,
+    userId: bonus.referrerId,
+    reference: { bonusId: bonus.id, paymentId: bonus.paymentId },
+    description,
+    createdBy: postedBy,
+    lines
+  });
+}
+
+// Admins join one room per permission they hold, so a broadcast only reaches
+// the admins who could read the same records through the API
+function adminRoom(permission) {
+  return `admin:${permission}`;
+}
+
+// Pushes changed records to the admin rooms and the owning user's room.
+// Sessions and config changes are never broadcast.
+function emitStorageUpdate({ collection, records, removedIds }) {
+  const payload = { collection, removedIds, timestamp: new Date().toISOString() };
+
+  switch(collection) {
+    case 'users':
+      io.to(adminRoom('users.view')).emit('usersUpdate', { ...payload, data: records.map(sanitizeUser) });
       break;
-    case 'transactions.json':
-      io.to('admin').emit('transactionsUpdate', data);
-      data.forEach(transaction => {
+    case 'transactions':
+      io.to(adminRoom('payments.view')).emit('transactionsUpdate', { ...payload, data: records });
+      records.forEach(transaction => {
         if (transaction.userId) {
           io.to(`user_${transaction.userId}`).emit('transactionUpdate', transaction);
         }
       });
       break;
-    case 'withdrawals.json':
-      io.to('admin').emit('withdrawalsUpdate', data);
+    case 'withdrawals':
+      io.to(adminRoom('withdrawals.view')).emit('withdrawalsUpdate', { ...payload, data: records });
       break;
   }
 }
 
-function sendNotificationToUser(userId, notification) {
-  io.to(`user_${userId}`).emit('notification', notification);
+storage.on('change', emitStorageUpdate);
+
+// Notifications are stored before they are pushed, so anything sent while the
+// recipient is offline is waiting in their inbox. Admin notifications go to a
+// shared admin inbox; their userId is kept as subjectUserId.
+async function sendNotificationToUser(userId, notification) {
+  const record = {
+    id: generateId('notif'),
+    isRead: false,
+    createdAt: new Date().toISOString(),
+    ...notification,
+    userId,
+    audience: 'user'
+  };
+
+  try {
+    await storage.notifications.insert(record);
+  } catch (error) {
+    console.error('Notification save error:', error);
+  }
+  io.to(`user_${userId}`).emit('notification', record);
+
+  // Email and SMS go out in the background; failures are retried by the
+  // notification-retry job, so the caller never waits on a mail server
+  storage.users.findById(userId)
+    .then(user => user && notificationDispatcher.dispatch(user, record))
+    .catch(error => console.error('Notification delivery error:', error));
+  return record;
 }
 
-function sendNotificationToAdmin(notification) {
-  io.to('admin').emit('adminNotification', notification);
+async function sendNotificationToAdmin(notification) {
+  const { userId, ...rest } = notification;
+  const record = {
+    id: generateId('notif'),
+    isRead: false,
+    createdAt: new Date().toISOString(),
+    ...rest,
+    userId: null,
+    subjectUserId: userId || null,
+    audience: 'admin'
+  };
+
+  try {
+    await storage.notifications.insert(record);
+  } catch (error) {
+    console.error('Admin notification save error:', error);
+  }
+  io.to(adminRoom('notifications.view')).emit('adminNotification', record);
+  return record;
 }
 
 io.on('connection', (socket) => {
   console.log('New client connected:', socket.id);
 
-  socket.on('join-user-room', (userId) => {
+  socket.on('join-user-room', async (token) => {
+    const resolved = await resolveSession(token).catch(() => null);
+    if (!resolved) {
+      socket.emit('userAuthError', { error: 'Authentication required' });
+      return;
+    }
+
+    const userId = resolved.user.id;
     socket.join(`user_${userId}`);
     console.log(`User ${userId} joined their room`);
     
-    readJsonFile('transactions.json').then(transactions => {
-      const userTransactions = transactions.filter(t => t.userId === userId);
+    storage.transactions.findBy({ userId }).then(userTransactions => {
       socket.emit('initialTransactions', userTransactions);
+    }).catch(error => {
+      console.error('Initial transactions error:', error);
     });
   });
 
-  socket.on('join-admin-room', () => {
-    socket.join('admin');
-    console.log('Admin joined admin room');
+  socket.on('join-admin-room', async (token) => {
+    const resolved = await resolveSession(token).catch(() => null);
+    if (!resolved || !isAdminUser(resolved.user)) {
+      socket.emit('adminAuthError', { error: 'Admin access required' });
+      return;
+    }
+
+    const admin = resolved.user;
+    socket.join(ADMIN_PERMISSIONS.filter(permission => hasPermission(admin, permission)).map(adminRoom));
+    console.log(`Admin ${admin.id} joined their admin rooms`);
     
+    // Only the counts this admin's permissions cover
+    const can = permission => hasPermission(admin, permission);
     Promise.all([
-      readJsonFile('users.json'),
-      readJsonFile('transactions.json'),
-      readJsonFile('withdrawals.json')
-    ]).then(([users, transactions, withdrawals]) => {
+      can('users.view') ? storage.users.count() : undefined,
+      can('payments.view') ? storage.transactions.count({ type: 'payment', status: 'pending' }) : undefined,
+      can('withdrawals.view') ? storage.withdrawals.filter(w => ['requested', 'approved'].includes(w.status)) : undefined
+    ]).then(([users, pendingPayments, queuedWithdrawals]) => {
       socket.emit('initialAdminData', {
-        users: users.length,
-        pendingPayments: transactions.filter(t => t.status === 'pending' && t.type === 'payment').length,
-        pendingWithdrawals: withdrawals.filter(w => w.status === 'pending').length
+        users,
+        pendingPayments,
+        pendingWithdrawals: queuedWithdrawals && queuedWithdrawals.length
       });
+    }).catch(error => {
+      console.error('Initial admin data error:', error);
     });
   });
 
@@ -222,6 +800,35 @@ io.on('connection', (socket) => {
   });
 });
 
+// Resolves a bearer token to its live session and user, or null
+async function resolveSession(token) {
+  const payload = verifyToken(token);
+  if (!payload) return null;
+
+  const session = await storage.sessions.findById(payload.sid);
+  if (!session || session.userId !== payload.sub || !isSessionActive(session)) return null;
+
+  const user = await storage.users.findById(payload.sub);
+  if (!user) return null;
+
+  return { user, session };
+}
+
+function isAdminUser(user) {
+  return user.isAdmin === true;
+}
+
+// Admins from before roles existed have no adminRoles and keep full access
+function getAdminRoles(user) {
+  if (!isAdminUser(user)) return [];
+  if (!Array.isArray(user.adminRoles)) return ['super_admin'];
+  return user.adminRoles.filter(role => ADMIN_ROLES[role]);
+}
+
+function hasPermission(user, permission) {
+  return getAdminRoles(user).some(role => ADMIN_ROLES[role].permissions.includes(permission));
+}
+
 const authenticateUser = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split(' ')[1];
@@ -229,17 +836,13 @@ const authenticateUser = async (req, res, next) => {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    const users = await readJsonFile('users.json');
-    const user = users.find(u => {
-      const userToken = generateToken(u);
-      return userToken === token;
-    });
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid token' });
+    const resolved = await resolveSession(token);
+    if (!resolved) {
+      return res.status(401).json({ error: 'Invalid or expired session. Please log in again.' });
     }
 
-    req.user = user;
+    req.user = resolved.user;
+    req.sessionId = resolved.session.id;
     next();
   } catch (error) {
     console.error('Authentication error:', error);
@@ -247,31 +850,39 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
+const authenticateAdmin = (req, res, next) => {
+  authenticateUser(req, res, () => {
+    if (!isAdminUser(req.user)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  });
+};
+
+const requirePermission = (...permissions) => (req, res, next) => {
+  authenticateAdmin(req, res, () => {
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({ error: 'Permission denied', missingPermissions: missing });
+    }
+    next();
+  });
+};
+
 // ============ FIXED PROFILE ROUTES ============
 app.get('/api/profile', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.id;
-    const users = await readJsonFile('users.json');
-    const user = users.find(u => u.id === userId);
+    const user = await storage.users.findById(userId);
     
     if (!user) return res.status(404).json({ error: 'User not found' });
     
     // Get referral stats
-    const allUsers = await readJsonFile('users.json');
-    const userReferrals = allUsers.filter(u => u.referredBy === user.id);
+    const userReferrals = await storage.users.findBy({ referredBy: user.id });
     
-    // Calculate referral bonus (5% of each referral's payments)
-    const transactions = await readJsonFile('transactions.json');
-    let totalReferralBonus = 0;
-    
-    userReferrals.forEach(referral => {
-      const referralPayments = transactions.filter(t => 
-        t.userId === referral.id && t.status === 'completed' && t.type === 'payment'
-      );
-      referralPayments.forEach(payment => {
-        totalReferralBonus += payment.amount * (REFERRAL_BONUS_PERCENTAGE / 100);
-      });
-    });
+    const bonusSummary = summarizeReferralBonuses(
+      await storage.referralBonuses.findBy({ referrerId: user.id })
+    );
     
     res.json({
       id: user.id,
@@ -282,6 +893,10 @@ app.get('/api/profile', authenticateUser, async (req, res) => {
       accountNumber: user.accountNumber,
       accountName: user.accountName,
       bankName: user.bankName,
+      bankCode: user.bankCode || null,
+      bankDetailsPendingVerification: Boolean(user.bankDetailsPendingVerification),
+      emailVerified: Boolean(user.emailVerified),
+      phoneVerified: Boolean(user.phoneVerified),
       referralCode: user.referralCode,
       referralLink: user.referralLink,
       balance: user.balance,
@@ -289,8 +904,12 @@ app.get('/api/profile', authenticateUser, async (req, res) => {
       referredBy: user.referredBy,
       referralStats: {
         totalReferrals: userReferrals.length,
-        activeReferrals: userReferrals.filter(u => u.lastPaymentDate).length,
-        totalBonus: totalReferralBonus
+        activeReferrals: userReferrals.filter(u =>
+          (u.enrollments || []).some(enrollment => enrollment.lastPaymentDate)
+        ).length,
+        totalBonus: bonusSummary.total,
+        earnedBonus: bonusSummary.earned,
+        paidBonus: bonusSummary.paid
       }
     });
   } catch (error) {
@@ -299,42 +918,125 @@ app.get('/api/profile', authenticateUser, async (req, res) => {
   }
 });
 
+// Payout details that, when changed, need an admin to verify them again
+const BANK_DETAIL_FIELDS = ['bankCode', 'bankName', 'accountNumber', 'accountName'];
+
 app.put('/api/profile', authenticateUser, async (req, res) => {
   try {
-    const { firstName, lastName, email, phone, bankName, accountNumber, accountName } = req.body;
+    const { firstName, lastName, email, phone, bankCode, bankName, accountNumber, accountName } = req.body;
     const userId = req.user.id;
     
-    const users = await readJsonFile('users.json');
-    const userIndex = users.findIndex(u => u.id === userId);
-    
-    if (userIndex === -1) {
+    const existing = await storage.users.findById(userId);
+    if (!existing) {
       return res.status(404).json({ error: 'User not found' });
     }
-    
-    // Update user data
-    users[userIndex].firstName = firstName || users[userIndex].firstName;
-    users[userIndex].lastName = lastName || users[userIndex].lastName;
-    users[userIndex].email = email || users[userIndex].email;
-    users[userIndex].phone = phone || users[userIndex].phone;
-    users[userIndex].bankName = bankName || users[userIndex].bankName;
-    users[userIndex].accountNumber = accountNumber || users[userIndex].accountNumber;
-    users[userIndex].accountName = accountName || users[userIndex].accountName;
-    users[userIndex].updatedAt = new Date().toISOString();
-    
-    await writeJsonFile('users.json', users);
+
+    // Missing fields keep their current value, as for the rest of the profile.
+    // Details are only validated when the member edits them.
+    const submitted = { bankCode, bankName, accountNumber, accountName };
+    let bankDetails = null;
+    if (BANK_DETAIL_FIELDS.some(field => submitted[field] && submitted[field] !== existing[field])) {
+      bankDetails = validateBankDetails({
+        bankCode: bankCode || (bankName ? null : existing.bankCode),
+        bankName: bankName || existing.bankName,
+        accountNumber: accountNumber || existing.accountNumber,
+        accountName: accountName || existing.accountName
+      });
+      if (bankDetails.error) {
+        return res.status(400).json({ error: bankDetails.error });
+      }
+    }
+    const bankDetailsChanged = Boolean(bankDetails) &&
+      BANK_DETAIL_FIELDS.some(field => bankDetails[field] !== existing[field]);
+
+    // A new email or phone only replaces the old one once the member enters the
+    // code sent to it. Where the server can't send codes it applies straight
+    // away, unverified.
+    const contactChanges = Object.entries({ email, phone })
+      .filter(([contact, value]) => value && value !== existing[contact]);
+
+    // Checked under the users lock so two members can't take the same email or
+    // phone, and the withdrawals lock so a request can't slip in with the old details
+    const result = await storage.transaction(['users', 'withdrawals'], async tx => {
+      for (const [contact, value] of contactChanges) {
+        const owner = await tx.users.findOne({ [contact]: value });
+        if (owner && owner.id !== userId) {
+          return { status: 400, error: `That ${CONTACT_LABELS[contact]} is already registered` };
+        }
+      }
+
+      if (bankDetailsChanged) {
+        const withdrawals = await tx.withdrawals.findBy({ userId });
+        if (withdrawals.some(isOpenWithdrawal)) {
+          return { status: 409, error: 'Bank details can\'t be changed while a withdrawal is in progress' };
+        }
+      }
+
+      const user = await tx.users.update(userId, user => {
+        user.firstName = firstName || user.firstName;
+        user.lastName = lastName || user.lastName;
+        for (const [contact, value] of contactChanges) {
+          if (canVerifyContact(contact)) {
+            user[PENDING_CONTACT_FIELDS[contact]] = value;
+          } else {
+            user[contact] = value;
+            user[`${contact}Verified`] = false;
+            user[`${contact}VerifiedAt`] = null;
+          }
+        }
+        if (bankDetailsChanged) {
+          Object.assign(user, bankDetails);
+          user.bankDetailsPendingVerification = true;
+          user.bankDetailsChangedAt = new Date().toISOString();
+        }
+        user.updatedAt = new Date().toISOString();
+      });
+      return { user };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { user } = result;
+    const notes = [];
+    const verification = {};
+    for (const [contact, value] of contactChanges.filter(([contact]) => canVerifyContact(contact))) {
+      try {
+        const sent = await sendContactCode(user, contact, value);
+        if (!sent.error) {
+          verification[contact] = sent.sentTo;
+          notes.push(`Enter the code we sent to ${sent.sentTo} to confirm your new ${CONTACT_LABELS[contact]}.`);
+        }
+      } catch (error) {
+        console.error('Verification code error:', error);
+        notes.push(`We couldn't send a code to your new ${CONTACT_LABELS[contact]}. Request one from your profile.`);
+      }
+    }
+
+    if (bankDetailsChanged) {
+      notes.push('Your new bank details will be verified before your next withdrawal.');
+      sendNotificationToAdmin({
+        title: '🏦 Bank Details Changed',
+        message: `${user.firstName} ${user.lastName} changed their payout account to ${user.bankName} ${user.accountNumber}. Verify it before their next withdrawal.`,
+        type: 'user',
+        userId
+      });
+    }
     
     // Emit socket event for real-time update
     io.to(`user_${userId}`).emit('profileUpdated', {
-      firstName: users[userIndex].firstName,
-      lastName: users[userIndex].lastName,
-      email: users[userIndex].email,
-      phone: users[userIndex].phone,
-      avatar: users[userIndex].avatar
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      phone: user.phone,
+      avatar: user.avatar
     });
     
     res.json({
-      message: 'Profile updated successfully',
-      user: users[userIndex]
+      message: notes.length > 0 ? `Profile updated. ${notes.join(' ')}` : 'Profile updated successfully',
+      user: sanitizeUser(user),
+      verification
     });
   } catch (error) {
     console.error('Profile update error:', error);
@@ -351,18 +1053,15 @@ app.put('/api/profile/avatar', authenticateUser, async (req, res) => {
       return res.status(400).json({ error: 'Avatar image is required' });
     }
     
-    const users = await readJsonFile('users.json');
-    const userIndex = users.findIndex(u => u.id === userId);
+    const user = await storage.users.update(userId, {
+      avatar,
+      updatedAt: new Date().toISOString()
+    });
     
-    if (userIndex === -1) {
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    users[userIndex].avatar = avatar;
-    users[userIndex].updatedAt = new Date().toISOString();
-    
-    await writeJsonFile('users.json', users);
-    
     io.to(`user_${userId}`).emit('profileUpdated', {
       avatar: avatar
     });
@@ -378,64 +1077,109 @@ app.put('/api/profile/avatar', authenticateUser, async (req, res) => {
 });
 // ============ END PROFILE ROUTES ============
 
+app.get('/api/banks', (req, res) => {
+  res.json({ banks: NIGERIAN_BANKS.map(({ code, name }) => ({ code, name })) });
+});
+
 app.post('/api/register', async (req, res) => {
   try {
-    const { firstName, lastName, email, phone, accountNumber, accountName, bankName, referralCode } = req.body;
+    const { firstName, lastName, email, phone, accountNumber, accountName, bankName, password, planId } = req.body;
+    const referralCode = req.body.referralCode ? String(req.body.referralCode).trim().toUpperCase() : null;
     const origin = req.headers.origin || 'http://localhost:3000';
     
-    if (!firstName || !lastName || !email || !phone || !accountNumber || !accountName || !bankName) {
+    if (!firstName || !lastName || !email || !phone || !accountNumber || !accountName || !(bankName || req.body.bankCode)) {
       return res.status(400).json({ error: 'All fields are required' });
     }
 
-    const users = await readJsonFile('users.json');
-    
-    if (users.some(u => u.email === email)) {
-      return res.status(400).json({ error: 'Email already registered' });
+    const bankDetails = validateBankDetails({ bankCode: req.body.bankCode, bankName, accountNumber, accountName });
+    if (bankDetails.error) {
+      return res.status(400).json({ error: bankDetails.error });
+    }
+
+    const appSettings = await getAppSettings();
+    const passwordError = validatePassword(password, appSettings);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
     }
-    if (users.some(u => u.phone === phone)) {
-      return res.status(400).json({ error: 'Phone number already registered' });
+
+    const plans = await getSavingsPlans();
+    const plan = findPlan(plans, planId || DEFAULT_PLAN_ID);
+    if (!plan || plan.status !== 'active') {
+      return res.status(400).json({ error: 'Savings plan not found' });
     }
 
     const userReferralCode = generateReferralCode(firstName);
     const referralLink = `${origin}/signup?ref=${userReferralCode}`;
 
     const newUser = {
-      id: `user_${Date.now()}`,
+      id: generateId('user'),
       firstName,
       lastName,
       email,
       phone,
-      accountNumber,
-      accountName,
-      bankName,
+      ...bankDetails,
+      passwordHash: await hashPassword(password),
       referralCode: userReferralCode,
       referralLink,
       balance: 0,
       isVerified: false,
+      emailVerified: false,
+      phoneVerified: false,
       isAdmin: false,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       avatar: null,
       loginAttempts: 0,
+      lockedUntil: null,
       paymentHistory: [],
-      nextPaymentDate: null,
-      lastPaymentDate: null,
-      isPaymentOverdue: false,
-      overdueAmount: 0,
       referrals: [],
-      referredBy: referralCode || null,
-      savingsCycle: 1,
-      totalSavedCurrentCycle: 0,
-      monthsCompletedCurrentCycle: 0
+      referredBy: null,
+      enrollments: [createEnrollment(plan)]
     };
 
-    users.push(newUser);
-    await writeJsonFile('users.json', users);
+    // Checked under the users lock so two sign-ups can't both claim an email or phone
+    const result = await storage.transaction(['users'], async tx => {
+      if (await tx.users.findOne({ email })) {
+        return { status: 400, error: 'Email already registered' };
+      }
+      if (await tx.users.findOne({ phone })) {
+        return { status: 400, error: 'Phone number already registered' };
+      }
+
+      const referrer = referralCode ? await tx.users.findOne({ referralCode }) : null;
+      if (referralCode && !referrer) {
+        return { status: 400, error: 'Invalid referral code' };
+      }
+
+      newUser.referredBy = referrer ? referrer.id : null;
+      await tx.users.insert(newUser);
+      if (referrer) {
+        await tx.users.update(referrer.id, user => {
+          user.referrals = [...(user.referrals || []), newUser.id];
+        });
+      }
+      return {};
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
 
-    const token = generateToken(newUser);
+    const session = await createSession(newUser, req);
+
+    // Codes for the member to prove their email and phone, where they can be sent
+    const verification = {};
+    for (const contact of Object.keys(CONTACT_CHANNELS).filter(canVerifyContact)) {
+      try {
+        const sent = await sendContactCode(newUser, contact);
+        verification[contact] = sent.error ? null : sent.sentTo;
+      } catch (error) {
+        console.error('Verification code error:', error);
+        verification[contact] = null;
+      }
+    }
 
     sendNotificationToAdmin({
-      id: `notif_${Date.now()}`,
+      id: generateId('notif'),
       title: '👤 New User Registration',
       message: `${firstName} ${lastName} has registered on the platform`,
       type: 'user',
@@ -455,12 +1199,14 @@ app.post('/api/register', async (req, res) => {
         accountNumber: newUser.accountNumber,
         accountName: newUser.accountName,
         bankName: newUser.bankName,
+        bankCode: newUser.bankCode,
         referralCode: newUser.referralCode,
         referralLink: newUser.referralLink,
         balance: newUser.balance,
         isVerified: newUser.isVerified
       },
-      token
+      verification,
+      ...session
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -468,117 +1214,85 @@ app.post('/api/register', async (req, res) => {
   }
 });
 
-app.post('/api/login', async (req, res) => {
+app.get('/api/validate-referral', async (req, res) => {
   try {
-    const { email } = req.body;
+    const code = String(req.query.code || '').trim().toUpperCase();
     
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
+    if (!code) {
+      return res.status(400).json({ valid: false, error: 'Referral code is required' });
     }
 
-    const users = await readJsonFile('users.json');
-    const user = users.find(u => u.email === email);
-    
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+    const referrer = await storage.users.findOne({ referralCode: code });
+    if (!referrer) {
+      return res.json({ valid: false });
     }
 
-    const token = generateToken(user);
-
-    const userIndex = users.findIndex(u => u.id === user.id);
-    users[userIndex].lastLogin = new Date().toISOString();
-    await writeJsonFile('users.json', users);
-
     res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        phone: user.phone,
-        accountNumber: user.accountNumber,
-        accountName: user.accountName,
-        bankName: user.bankName,
-        referralCode: user.referralCode,
-        referralLink: user.referralLink,
-        balance: user.balance,
-        isAdmin: user.isAdmin,
-        isVerified: user.isVerified
-      },
-      token
+      valid: true,
+      referralCode: referrer.referralCode,
+      referrerName: getReferrerDisplayName(referrer)
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Referral validation error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.get('/api/dashboard', authenticateUser, async (req, res) => {
+app.post('/api/login', async (req, res) => {
   try {
-    const userId = req.user.id;
+    const { email, password } = req.body;
     
-    const [users, transactions, savingsPlans, notifications] = await Promise.all([
-      readJsonFile('users.json'),
-      readJsonFile('transactions.json'),
-      readJsonFile('savings_plans.json'),
-      readJsonFile('notifications.json')
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const [user, appSettings] = await Promise.all([
+      storage.users.findOne({ email }),
+      getAppSettings()
     ]);
     
-    const user = users.find(u => u.id === userId);
-    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
 
-    const userTransactions = transactions.filter(t => t.userId === userId && !t.archived);
-    const userNotifications = notifications.filter(n => n.userId === userId && !n.isRead);
-    
-    const totalSaved = user.totalSavedCurrentCycle || 0;
-    const monthsCompleted = user.monthsCompletedCurrentCycle || 0;
-    
-    let nextPaymentInfo = null;
-    if (user.lastPaymentDate) {
-      nextPaymentInfo = calculateNextPayment(user, user.lastPaymentDate);
-      
-      if (nextPaymentInfo.daysUntilNextPayment <= 3 && nextPaymentInfo.daysUntilNextPayment > 0) {
-        sendNotificationToUser(userId, {
-          id: `notif_${Date.now()}`,
-          title: '⏰ Payment Reminder',
-          message: `Your next payment of ₦${nextPaymentInfo.totalAmount.toLocaleString()} is due in ${nextPaymentInfo.daysUntilNextPayment} day(s)`,
-          type: 'payment_reminder',
-          isRead: false,
-          createdAt: new Date().toISOString()
-        });
-      }
-      
-      if (nextPaymentInfo.daysUntilNextPayment === 0) {
-        sendNotificationToUser(userId, {
-          id: `notif_${Date.now()}`,
-          title: '💰 Payment Due Today!',
-          message: `Your payment of ₦${nextPaymentInfo.totalAmount.toLocaleString()} is due today.`,
-          type: 'payment_due',
-          isRead: false,
-          createdAt: new Date().toISOString()
-        });
-      }
-      
-      if (nextPaymentInfo.isOverdue) {
-        const userIndex = users.findIndex(u => u.id === userId);
-        users[userIndex].isPaymentOverdue = true;
-        users[userIndex].overdueAmount = nextPaymentInfo.penaltyAmount;
-        await writeJsonFile('users.json', users);
-        
-        sendNotificationToUser(userId, {
-          id: `notif_${Date.now()}`,
-          title: '⚠️ Payment Overdue!',
-          message: `Your payment is ${nextPaymentInfo.overdueMonths} month(s) overdue. Penalty: ₦${nextPaymentInfo.penaltyAmount.toLocaleString()}`,
-          type: 'payment_overdue',
-          isRead: false,
-          createdAt: new Date().toISOString()
-        });
-      }
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+      return res.status(423).json({ 
+        error: 'Too many failed login attempts. Try again later.',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
+    if (!user.passwordHash) {
+      return res.status(403).json({ 
+        error: 'No password set for this account. Please reset your password.',
+        passwordResetRequired: true
+      });
     }
 
+    const passwordMatches = await verifyPassword(password, user.passwordHash);
+    if (!passwordMatches) {
+      await storage.users.update(user.id, user => {
+        user.loginAttempts = (user.loginAttempts || 0) + 1;
+        if (user.loginAttempts >= appSettings.maxLoginAttempts) {
+          user.lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MS).toISOString();
+          user.loginAttempts = 0;
+        }
+      });
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const session = await createSession(user, req);
+
+    await storage.users.update(user.id, {
+      loginAttempts: 0,
+      lockedUntil: null,
+      lastLogin: new Date().toISOString()
+    });
+
     res.json({
+      message: 'Login successful',
       user: {
+        id: user.id,
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
@@ -589,726 +1303,4091 @@ app.get('/api/dashboard', authenticateUser, async (req, res) => {
         referralCode: user.referralCode,
         referralLink: user.referralLink,
         balance: user.balance,
-        avatar: user.avatar,
-        isVerified: user.isVerified,
-        lastPaymentDate: user.lastPaymentDate,
-        isPaymentOverdue: user.isPaymentOverdue || false,
-        overdueAmount: user.overdueAmount || 0,
-        savingsCycle: user.savingsCycle || 1,
-        totalSavedCurrentCycle: totalSaved,
-        monthsCompletedCurrentCycle: monthsCompleted
+        isAdmin: user.isAdmin,
+        adminRoles: getAdminRoles(user),
+        isVerified: user.isVerified
       },
-      totalSaved,
-      monthsCompleted,
-      nextPaymentInfo,
-      recentTransactions: userTransactions
-        .sort((a, b) => new Date(b.date) - new Date(a.date))
-        .slice(0, 5),
-      unreadNotifications: userNotifications.length
+      ...session
     });
   } catch (error) {
-    console.error('Dashboard error:', error);
+    console.error('Login error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.post('/api/payments', authenticateUser, async (req, res) => {
+// ============ SESSION ROUTES ============
+app.post('/api/token/refresh', async (req, res) => {
   try {
-    const { receiptImage } = req.body;
-    const userId = req.user.id;
-    
-    if (!receiptImage) {
-      return res.status(400).json({ error: 'Receipt image is required' });
-    }
-
-    const [users, transactions, config] = await Promise.all([
-      readJsonFile('users.json'),
-      readJsonFile('transactions.json'),
-      readJsonFile('config.json')
-    ]);
-
-    const user = users.find(u => u.id === userId);
-    if (!user) return res.status(404).json({ error: 'User not found' });
+    const { refreshToken } = req.body;
 
-    let paymentAmount = config.monthlyPaymentAmount;
-    let penaltyAmount = 0;
-    
-    if (user.isPaymentOverdue && user.overdueAmount > 0) {
-      penaltyAmount = user.overdueAmount;
-      paymentAmount += penaltyAmount;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
     }
 
-    const filename = await saveBase64Image(receiptImage, userId);
+    const sessionId = String(refreshToken).split('.')[0];
+    const session = await storage.sessions.findById(sessionId);
+    if (!session || !isSessionActive(session)) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
 
-    const newTransaction = {
-      id: `txn_${Date.now()}`,
-      userId,
-      type: 'payment',
-      amount: paymentAmount,
-      baseAmount: config.monthlyPaymentAmount,
-      penaltyAmount: penaltyAmount,
-      date: new Date().toISOString(),
-      status: 'pending',
-      receiptImage: filename,
-      description: penaltyAmount > 0 ? 
-        `Monthly payment with ₦${penaltyAmount.toLocaleString()} penalty` : 
-        'Monthly payment'
-    };
+    // A refresh token that doesn't match the stored one has already been rotated:
+    // treat it as stolen and end the session
+    if (session.refreshTokenHash !== hashToken(refreshToken)) {
+      await storage.sessions.update(session.id, { revokedAt: new Date().toISOString() });
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
 
-    transactions.push(newTransaction);
-    await writeJsonFile('transactions.json', transactions);
+    const user = await storage.users.findById(session.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
 
-    const userIndex = users.findIndex(u => u.id === userId);
-    users[userIndex].lastPaymentDate = new Date().toISOString();
-    users[userIndex].isPaymentOverdue = false;
-    users[userIndex].overdueAmount = 0;
-    users[userIndex].nextPaymentDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
-    
-    users[userIndex].paymentHistory = users[userIndex].paymentHistory || [];
-    users[userIndex].paymentHistory.push({
-      date: new Date().toISOString(),
-      amount: paymentAmount,
-      penalty: penaltyAmount,
-      status: 'pending'
+    const newRefreshToken = `${session.id}.${crypto.randomBytes(32).toString('hex')}`;
+    await storage.sessions.update(session.id, {
+      refreshTokenHash: hashToken(newRefreshToken),
+      lastUsedAt: new Date().toISOString()
     });
-    
-    await writeJsonFile('users.json', users);
 
-    const notifications = await readJsonFile('notifications.json');
-    notifications.push({
-      id: `notif_${Date.now()}`,
-      userId,
-      title: '📤 Payment Submitted',
-      message: `Your payment of ₦${paymentAmount.toLocaleString()} has been submitted for review`,
-      type: 'payment',
-      isRead: false,
-      createdAt: new Date().toISOString()
+    res.json({
+      token: generateToken(user, session.id),
+      refreshToken: newRefreshToken,
+      expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL_MS).toISOString()
     });
-    await writeJsonFile('notifications.json', notifications);
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    sendNotificationToUser(userId, {
-      id: `notif_${Date.now()}`,
-      title: '📤 Payment Submitted',
-      message: `₦${paymentAmount.toLocaleString()} payment submitted for review`,
-      type: 'payment',
-      isRead: false,
-      createdAt: new Date().toISOString()
-    });
+app.post('/api/logout', authenticateUser, async (req, res) => {
+  try {
+    await revokeSessions(session => session.id === req.sessionId);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    sendNotificationToAdmin({
-      id: `notif_${Date.now()}`,
-      title: '💰 New Payment',
-      message: `${user.firstName} ${user.lastName} submitted ₦${paymentAmount.toLocaleString()} payment`,
-      type: 'payment',
-      isRead: false,
-      createdAt: new Date().toISOString(),
-      userId: userId
-    });
+app.post('/api/logout-all', authenticateUser, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(session => session.userId === req.user.id);
+    res.json({ message: 'Logged out of all devices', sessionsEnded: revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    io.to('admin').emit('newPayment', newTransaction);
-    io.to(`user_${userId}`).emit('transactionAdded', newTransaction);
+app.get('/api/sessions', authenticateUser, async (req, res) => {
+  try {
+    const sessions = await storage.sessions.findBy({ userId: req.user.id });
 
-    res.status(201).json({
-      message: 'Payment submitted for review',
-      transaction: newTransaction,
-      nextPaymentInfo: calculateNextPayment(user, new Date().toISOString())
-    });
+    res.json(sessions
+      .filter(isSessionActive)
+      .map(s => ({
+        id: s.id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        current: s.id === req.sessionId
+      }))
+      .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt)));
   } catch (error) {
-    console.error('Payment error:', error);
+    console.error('Sessions error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
+// ============ END SESSION ROUTES ============
 
-app.get('/api/withdrawals', authenticateUser, async (req, res) => {
+// ============ PASSWORD ROUTES ============
+app.put('/api/password', authenticateUser, async (req, res) => {
   try {
-    const { status, limit } = req.query;
+    const { currentPassword, newPassword } = req.body;
     const userId = req.user.id;
-    
-    const withdrawals = await readJsonFile('withdrawals.json');
-    let userWithdrawals = withdrawals.filter(w => w.userId === userId);
-    
-    if (status) userWithdrawals = userWithdrawals.filter(w => w.status === status);
-    
-    const sortedWithdrawals = userWithdrawals.sort((a, b) => 
-      new Date(b.date) - new Date(a.date)
-    );
-    
-    if (limit) {
-      res.json(sortedWithdrawals.slice(0, parseInt(limit)));
-    } else {
-      res.json(sortedWithdrawals);
+
+    const [user, appSettings] = await Promise.all([
+      storage.users.findById(userId),
+      getAppSettings()
+    ]);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const passwordMatches = await verifyPassword(currentPassword, user.passwordHash);
+    if (!passwordMatches) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
     }
+
+    const passwordError = validatePassword(newPassword, appSettings);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    await storage.users.update(userId, {
+      passwordHash: await hashPassword(newPassword),
+      passwordChangedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    await revokeSessions(session => session.userId === userId && session.id !== req.sessionId);
+
+    sendNotificationToUser(userId, {
+      id: generateId('notif'),
+      title: '🔒 Password Changed',
+      message: 'Your password was changed successfully',
+      type: 'security',
+      isRead: false,
+      createdAt: new Date().toISOString()
+    });
+
+    res.json({ message: 'Password changed successfully' });
   } catch (error) {
-    console.error('Withdrawals error:', error);
+    console.error('Password change error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// FIXED: WITHDRAWAL CONFIRMATION WITH DASHBOARD RESET
-app.post('/api/withdrawals/:id/confirm', authenticateUser, async (req, res) => {
+app.post('/api/password/forgot', async (req, res) => {
   try {
-    const withdrawalId = req.params.id;
-    const { confirmed } = req.body;
-    const userId = req.user.id;
-    
-    const withdrawals = await readJsonFile('withdrawals.json');
-    const withdrawalIndex = withdrawals.findIndex(w => w.id === withdrawalId && w.userId === userId);
-    
-    if (withdrawalIndex === -1) {
-      return res.status(404).json({ error: 'Withdrawal not found' });
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
     }
-    
-    if (confirmed) {
-      // Mark withdrawal as confirmed
-      withdrawals[withdrawalIndex].confirmed = true;
-      withdrawals[withdrawalIndex].confirmedAt = new Date().toISOString();
-      withdrawals[withdrawalIndex].status = 'completed';
-      withdrawals[withdrawalIndex].userNote = 'Confirmed by user';
-      
-      // RESET USER'S DASHBOARD TO ZERO
-      const users = await readJsonFile('users.json');
-      const userIndex = users.findIndex(u => u.id === userId);
-      
-      if (userIndex !== -1) {
-        // Reset all savings data
-        users[userIndex].totalSavedCurrentCycle = 0;
-        users[userIndex].monthsCompletedCurrentCycle = 0;
-        users[userIndex].lastPaymentDate = null;
-        users[userIndex].nextPaymentDate = null;
-        users[userIndex].isPaymentOverdue = false;
-        users[userIndex].overdueAmount = 0;
-        users[userIndex].balance = 0;
-        
-        // Archive all transactions
-        const transactions = await readJsonFile('transactions.json');
-        transactions.forEach(t => {
-          if (t.userId === userId) {
-            t.archived = true;
-          }
-        });
-        
-        // Increment savings cycle
-        users[userIndex].savingsCycle = (users[userIndex].savingsCycle || 1) + 1;
-        
-        // Save all changes
-        await writeJsonFile('users.json', users);
-        await writeJsonFile('transactions.json', transactions);
+
+    const user = await storage.users.findOne({ email });
+
+    // Same response whether or not the email exists, so accounts can't be enumerated
+    const response = { message: 'If that email is registered, a reset code has been issued' };
+
+    if (!user) {
+      return res.json(response);
+    }
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    await storage.users.update(user.id, {
+      passwordReset: {
+        tokenHash: hashToken(resetToken),
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS).toISOString()
       }
-      
-      sendNotificationToAdmin({
-        id: `notif_${Date.now()}`,
-        title: '✅ Withdrawal Confirmed',
-        message: `User confirmed receipt of withdrawal and dashboard has been reset`,
-        type: 'withdrawal',
-        isRead: false,
-        createdAt: new Date().toISOString(),
-        userId: userId
-      });
-      
-      // Send notification to user about reset
-      sendNotificationToUser(userId, {
-        id: `notif_${Date.now()}`,
-        title: '🔄 Dashboard Reset',
-        message: 'Your dashboard has been reset to start a new savings cycle!',
-        type: 'reset',
-        isRead: false,
-        createdAt: new Date().toISOString()
-      });
-      
+    });
+
+    // Sent in the background so the response takes as long for unknown emails
+    if (notificationDispatcher.channels.includes('email')) {
+      notificationDispatcher.sendNow('email', {
+        to: user.email,
+        title: 'Reset your RichMore Now password',
+        message: `Your password reset code is ${resetToken}\n\n` +
+          `It expires in ${PASSWORD_RESET_TTL_MS / 60000} minutes. If you did not ask to reset your password, ignore this email.`
+      }).catch(error => console.error('Password reset email error:', error.message));
     } else {
-      withdrawals[withdrawalIndex].status = 'rejected';
-      withdrawals[withdrawalIndex].userNote = 'Rejected by user';
-      
-      sendNotificationToAdmin({
-        id: `notif_${Date.now()}`,
-        title: '❌ Withdrawal Rejected',
-        message: `User rejected withdrawal`,
-        type: 'withdrawal',
-        isRead: false,
-        createdAt: new Date().toISOString(),
-        userId: userId
-      });
+      console.warn(`Password reset requested for user ${user.id}, but email is not configured to deliver it`);
     }
-    
-    await writeJsonFile('withdrawals.json', withdrawals);
-    
-    io.to('admin').emit('withdrawalUpdated', withdrawals[withdrawalIndex]);
-    io.to(`user_${userId}`).emit('withdrawalUpdated', withdrawals[withdrawalIndex]);
-    
-    res.json({
-      message: `Withdrawal ${confirmed ? 'confirmed and dashboard reset' : 'rejected'}`,
-      withdrawal: withdrawals[withdrawalIndex]
-    });
+
+    res.json(response);
   } catch (error) {
-    console.error('Withdrawal confirmation error:', error);
+    console.error('Password forgot error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// ============ ADMIN ROUTES ============
-
-// GET dashboard stats
-app.get('/api/admin/dashboard', async (req, res) => {
+app.post('/api/password/reset', async (req, res) => {
   try {
-    const [users, transactions, withdrawals] = await Promise.all([
-      readJsonFile('users.json'),
-      readJsonFile('transactions.json'),
-      readJsonFile('withdrawals.json')
+    const { email, token, newPassword } = req.body;
+
+    if (!email || !token) {
+      return res.status(400).json({ error: 'Email and reset token are required' });
+    }
+
+    const [user, appSettings] = await Promise.all([
+      storage.users.findOne({ email }),
+      getAppSettings()
     ]);
-    
-    const totalUsers = users.length;
-    
-    let overdueUsers = 0;
-    let pendingReceipts = 0;
-    let eligibleForWithdrawal = 0;
-    
-    users.forEach(user => {
-      if (user.monthsCompletedCurrentCycle >= 6) {
-        eligibleForWithdrawal++;
-      }
-      
-      if (user.lastPaymentDate) {
-        const nextPayment = calculateNextPayment(user, user.lastPaymentDate);
-        if (nextPayment.isOverdue) {
-          overdueUsers++;
-        }
-      }
-    });
-    
-    pendingReceipts = transactions.filter(t => 
-      t.type === 'payment' && t.status === 'pending'
-    ).length;
-    
-    res.json({
-      stats: {
-        totalUsers,
-        overdueUsers,
-        eligibleForWithdrawal,
-        pendingReceipts
-      }
+    const reset = user ? user.passwordReset : null;
+
+    if (!reset || reset.tokenHash !== hashToken(token) || new Date(reset.expiresAt) < new Date()) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const passwordError = validatePassword(newPassword, appSettings);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    await storage.users.update(user.id, {
+      passwordHash: await hashPassword(newPassword),
+      passwordReset: null,
+      passwordChangedAt: new Date().toISOString(),
+      loginAttempts: 0,
+      lockedUntil: null,
+      updatedAt: new Date().toISOString()
     });
+    await revokeSessions(session => session.userId === user.id);
+
+    res.json({ message: 'Password reset successfully' });
   } catch (error) {
-    console.error('Admin dashboard error:', error);
+    console.error('Password reset error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
+// ============ END PASSWORD ROUTES ============
 
-// GET users with filters
-app.get('/api/admin/users', async (req, res) => {
-  try {
-    const { search, page = 1, limit = 20, filter } = req.query;
-    const users = await readJsonFile('users.json');
-    
-    let filteredUsers = [...users];
-    
-    if (search) {
-      const searchTerm = search.toLowerCase();
-      filteredUsers = filteredUsers.filter(user => 
-        user.firstName.toLowerCase().includes(searchTerm) ||
-        user.lastName.toLowerCase().includes(searchTerm) ||
-        user.email.toLowerCase().includes(searchTerm) ||
-        user.phone.includes(search) ||
-        user.referralCode.toLowerCase().includes(searchTerm)
-      );
+// ============ VERIFICATION ROUTES ============
+// Contact details members prove they own with a one-time code, and the channel
+// each code goes out on. Codes approving an action go to the first one that
+// can be used, so SMS is preferred.
+const CONTACT_CHANNELS = { phone: 'sms', email: 'email' };
+const CONTACT_LABELS = { phone: 'phone number', email: 'email address' };
+const PENDING_CONTACT_FIELDS = { phone: 'pendingPhone', email: 'pendingEmail' };
+
+function canVerifyContact(contact) {
+  return notificationDispatcher.channels.includes(CONTACT_CHANNELS[contact]);
+}
+
+function contactStatus(user) {
+  return Object.fromEntries(Object.keys(CONTACT_CHANNELS).map(contact => [contact, {
+    value: user[contact] || null,
+    verified: Boolean(user[`${contact}Verified`]),
+    verifiedAt: user[`${contact}VerifiedAt`] || null,
+    pending: user[PENDING_CONTACT_FIELDS[contact]] || null,
+    canVerify: canVerifyContact(contact)
+  }]));
+}
+
+// Sends a code to the member's current contact, or to one they are changing to
+function sendContactCode(user, contact, destination = user[contact]) {
+  return otpService.issue({ userId: user.id, purpose: contact, channel: CONTACT_CHANNELS[contact], destination });
+}
+
+function actionCodeDestination(user) {
+  const contacts = Object.keys(CONTACT_CHANNELS)
+    .filter(contact => user[contact] && canVerifyContact(contact));
+  const contact = contacts.find(c => user[`${c}Verified`]) || contacts[0];
+  return contact ? { channel: CONTACT_CHANNELS[contact], destination: user[contact] } : null;
+}
+
+// Sensitive actions need a code sent to the member. A request without `code`
+// sends one and is refused with verificationRequired, to be repeated with the
+// code. Returns null once the code checks out, or when the server has no way
+// to send the member a code.
+async function checkActionCode(user, purpose, targetId, code) {
+  const target = actionCodeDestination(user);
+  if (!target) return null;
+
+  if (!code) {
+    let sent;
+    try {
+      sent = await otpService.issue({ userId: user.id, purpose, targetId, ...target });
+    } catch (error) {
+      console.error('Verification code error:', error);
+      return { status: 502, error: 'We couldn\'t send your verification code. Try again shortly', verificationRequired: true };
     }
-    
-    if (filter === 'eligible') {
-      filteredUsers = filteredUsers.filter(user => 
-        user.monthsCompletedCurrentCycle >= 6
-      );
-    } else if (filter === 'overdue') {
-      filteredUsers = filteredUsers.filter(user => {
-        if (!user.lastPaymentDate) return false;
-        const nextPayment = calculateNextPayment(user, user.lastPaymentDate);
-        return nextPayment.isOverdue;
-      });
-    } else if (filter === 'pending_receipts') {
-      const transactions = await readJsonFile('transactions.json');
-      filteredUsers = filteredUsers.filter(user => {
-        const userTransactions = transactions.filter(t => t.userId === user.id);
-        return userTransactions.some(t => t.type === 'payment' && t.status === 'pending');
-      });
+    if (sent.error) {
+      return { status: sent.status, error: sent.error, verificationRequired: true };
     }
-    
-    const enrichedUsers = filteredUsers.map(user => {
-      let nextPaymentInfo = null;
-      let countdown = null;
-      
-      if (user.lastPaymentDate) {
-        nextPaymentInfo = calculateNextPayment(user, user.lastPaymentDate);
-        const nextPaymentDate = new Date(nextPaymentInfo.nextPaymentDate);
-        const now = new Date();
-        const timeDiff = nextPaymentDate - now;
-        
-        countdown = {
-          days: Math.floor(timeDiff / (1000 * 60 * 60 * 24)),
-          hours: Math.floor((timeDiff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60)),
-          minutes: Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60)),
-          seconds: Math.floor((timeDiff % (1000 * 60)) / 1000),
-          totalSeconds: Math.floor(timeDiff / 1000),
-          isOverdue: timeDiff < 0
-        };
+    return {
+      status: 403,
+      error: `Enter the code we sent to ${sent.sentTo}`,
+      verificationRequired: true,
+      sentTo: sent.sentTo,
+      expiresAt: sent.expiresAt
+    };
+  }
+
+  const checked = await otpService.verify({ userId: user.id, purpose, targetId, code });
+  return checked.error ?
+    { status: checked.status, error: checked.error, verificationRequired: true } :
+    null;
+}
+
+function parseContact(value) {
+  return Object.prototype.hasOwnProperty.call(CONTACT_CHANNELS, value) ? value : null;
+}
+
+app.get('/api/verification', authenticateUser, async (req, res) => {
+  try {
+    const user = await storage.users.findById(req.user.id);
+    res.json({ contacts: contactStatus(user) });
+  } catch (error) {
+    console.error('Verification status error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Sends (or re-sends) the code for a contact the member is changing to, or
+// else for their current one
+app.post('/api/verification/send', authenticateUser, async (req, res) => {
+  try {
+    const contact = parseContact(req.body.contact);
+    if (!contact) {
+      return res.status(400).json({ error: 'contact must be email or phone' });
+    }
+    if (!canVerifyContact(contact)) {
+      return res.status(503).json({ error: `We can't verify your ${CONTACT_LABELS[contact]} right now` });
+    }
+
+    const user = await storage.users.findById(req.user.id);
+    const pending = user[PENDING_CONTACT_FIELDS[contact]];
+    if (!pending && user[`${contact}Verified`]) {
+      return res.status(409).json({ error: `Your ${CONTACT_LABELS[contact]} is already verified` });
+    }
+
+    let sent;
+    try {
+      sent = await sendContactCode(user, contact, pending || user[contact]);
+    } catch (error) {
+      console.error('Verification code error:', error);
+      return res.status(502).json({ error: 'We couldn\'t send your verification code. Try again shortly' });
+    }
+    if (sent.error) {
+      return res.status(sent.status).json({ error: sent.error, retryAfter: sent.retryAfter });
+    }
+
+    res.json({
+      message: `Code sent to ${sent.sentTo}`,
+      sentTo: sent.sentTo,
+      expiresAt: sent.expiresAt
+    });
+  } catch (error) {
+    console.error('Send verification code error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// A correct code marks the contact it went to as verified, first switching
+// the member over to it if it was a change they asked for
+app.post('/api/verification/verify', authenticateUser, async (req, res) => {
+  try {
+    const contact = parseContact(req.body.contact);
+    if (!contact || !req.body.code) {
+      return res.status(400).json({ error: 'contact (email or phone) and code are required' });
+    }
+
+    const userId = req.user.id;
+    const checked = await otpService.verify({ userId, purpose: contact, code: req.body.code });
+    if (checked.error) {
+      return res.status(checked.status).json({ error: checked.error });
+    }
+
+    const destination = checked.destination;
+    const pendingField = PENDING_CONTACT_FIELDS[contact];
+    const result = await storage.transaction(['users'], async tx => {
+      const user = await tx.users.findById(userId);
+      const changing = destination !== user[contact];
+      if (changing) {
+        if (user[pendingField] !== destination) {
+          return { status: 409, error: `That code was for a ${CONTACT_LABELS[contact]} you are no longer changing to` };
+        }
+        const owner = await tx.users.findOne({ [contact]: destination });
+        if (owner && owner.id !== userId) {
+          return { status: 409, error: `That ${CONTACT_LABELS[contact]} is already registered` };
+        }
       }
-      
-      const isEligible = user.monthsCompletedCurrentCycle >= 6;
-      
-      return {
-        ...user,
-        nextPaymentInfo,
-        countdown,
-        isEligible,
-        totalSaved: user.totalSavedCurrentCycle || 0,
-        monthsCompleted: user.monthsCompletedCurrentCycle || 0
-      };
+
+      const updated = await tx.users.update(userId, u => {
+        u[contact] = destination;
+        u[`${contact}Verified`] = true;
+        u[`${contact}VerifiedAt`] = new Date().toISOString();
+        if (u[pendingField] === destination) u[pendingField] = null;
+        u.updatedAt = new Date().toISOString();
+      });
+      return { user: updated, changing };
     });
-    
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const paginatedUsers = enrichedUsers.slice(startIndex, endIndex);
-    
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { user, changing } = result;
+    if (changing) {
+      io.to(`user_${userId}`).emit('profileUpdated', { [contact]: user[contact] });
+    }
+
     res.json({
-      total: filteredUsers.length,
-      page: parseInt(page),
-      limit: parseInt(limit),
-      users: paginatedUsers
+      message: changing ?
+        `Your ${CONTACT_LABELS[contact]} has been changed and verified` :
+        `Your ${CONTACT_LABELS[contact]} is verified`,
+      contacts: contactStatus(user)
     });
   } catch (error) {
-    console.error('Admin users error:', error);
+    console.error('Verify code error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
+// ============ END VERIFICATION ROUTES ============
 
-// GET user details
-app.get('/api/admin/users/:id', async (req, res) => {
+app.get('/api/dashboard', authenticateUser, async (req, res) => {
   try {
-    const userId = req.params.id;
-    const users = await readJsonFile('users.json');
-    const user = users.find(u => u.id === userId);
-    
-    if (!user) return res.status(404).json({ error: 'User not found' });
+    const userId = req.user.id;
     
-    let nextPaymentInfo = null;
-    let countdown = null;
+    const [user, transactions, userNotifications, config, plans] = await Promise.all([
+      storage.users.findById(userId),
+      storage.transactions.findBy({ userId }),
+      storage.notifications.findBy({ userId, isRead: false }),
+      storage.config.get(),
+      getSavingsPlans()
+    ]);
     
-    if (user.lastPaymentDate) {
-      nextPaymentInfo = calculateNextPayment(user, user.lastPaymentDate);
-      const nextPaymentDate = new Date(nextPaymentInfo.nextPaymentDate);
-      const now = new Date();
-      const timeDiff = nextPaymentDate - now;
-      
-      countdown = {
-        days: Math.floor(timeDiff / (1000 * 60 * 60 * 24)),
-        hours: Math.floor((timeDiff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60)),
-        minutes: Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60)),
-        seconds: Math.floor((timeDiff % (1000 * 60)) / 1000),
-        totalSeconds: Math.floor(timeDiff / 1000),
-        isOverdue: timeDiff < 0
-      };
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const enrollment = findEnrollment(user, req.query.enrollmentId);
+    if (req.query.enrollmentId && !enrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
     }
+
+    const userTransactions = transactions.filter(t =>
+      !t.archived && (!enrollment || !t.enrollmentId || t.enrollmentId === enrollment.id)
+    );
     
-    const stats = {
-      totalSaved: user.totalSavedCurrentCycle || 0,
-      monthsCompleted: user.monthsCompletedCurrentCycle || 0,
-      isEligible: user.monthsCompletedCurrentCycle >= 6
-    };
-    
+    // Reminders and overdue state are maintained by the payment-sweep job
+    const current = enrollment ? describeEnrollment(enrollment, plans, config) : null;
+    const totalSaved = current ? current.totalSavedCurrentCycle : 0;
+    const monthsCompleted = current ? current.contributionsCompletedCurrentCycle : 0;
+    const nextPaymentInfo = current ? current.nextPaymentInfo : null;
+
     res.json({
-      user,
-      stats,
+      user: {
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        phone: user.phone,
+        accountNumber: user.accountNumber,
+        accountName: user.accountName,
+        bankName: user.bankName,
+        referralCode: user.referralCode,
+        referralLink: user.referralLink,
+        balance: user.balance,
+        avatar: user.avatar,
+        isVerified: user.isVerified,
+        lastPaymentDate: current ? current.lastPaymentDate : null,
+        isPaymentOverdue: current ? current.isPaymentOverdue : false,
+        overdueAmount: current ? current.overdueAmount : 0,
+        savingsCycle: current ? current.savingsCycle : 1,
+        totalSavedCurrentCycle: totalSaved,
+        monthsCompletedCurrentCycle: monthsCompleted
+      },
+      totalSaved,
+      monthsCompleted,
       nextPaymentInfo,
-      countdown
+      enrollment: current,
+      enrollments: getActiveEnrollments(user).map(e => describeEnrollment(e, plans, config)),
+      recentTransactions: userTransactions
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .slice(0, 5),
+      unreadNotifications: userNotifications.length
     });
   } catch (error) {
-    console.error('User details error:', error);
+    console.error('Dashboard error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// PROCESS WITHDRAWAL (Admin sends receipt to user)
-app.post('/api/admin/withdrawals/process', async (req, res) => {
+// ============ SAVINGS PLAN ROUTES ============
+app.get('/api/savings-plans', authenticateUser, async (req, res) => {
+  try {
+    const plans = (await getSavingsPlans()).filter(plan => plan.status === 'active');
+    res.json({ plans });
+  } catch (error) {
+    console.error('Savings plans error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/enrollments', authenticateUser, async (req, res) => {
   try {
-    const { userId, receiptImage, message } = req.body;
+    const [user, config, plans] = await Promise.all([
+      storage.users.findById(req.user.id),
+      storage.config.get(),
+      getSavingsPlans()
+    ]);
     
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    res.json({
+      enrollments: (user.enrollments || []).map(e => describeEnrollment(e, plans, config))
+    });
+  } catch (error) {
+    console.error('Enrollments error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/enrollments', authenticateUser, async (req, res) => {
+  try {
+    const { planId } = req.body || {};
+    const [config, plans] = await Promise.all([storage.config.get(), getSavingsPlans()]);
+
+    const plan = findPlan(plans, planId);
+    if (!plan || plan.status !== 'active') {
+      return res.status(404).json({ error: 'Savings plan not found' });
+    }
+
+    const result = await storage.transaction(['users'], async tx => {
+      const user = await tx.users.findById(req.user.id);
+      if (!user) return { status: 404, error: 'User not found' };
+      if (getActiveEnrollments(user).some(enrollment => enrollment.planId === plan.id)) {
+        return { status: 409, error: `You are already enrolled in the ${plan.name}` };
+      }
+
+      const enrollment = createEnrollment(plan);
+      user.enrollments = [...(user.enrollments || []), enrollment];
+      user.updatedAt = enrollment.enrolledAt;
+      await tx.users.update(user.id, user);
+      return { enrollment };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    const [users, withdrawals] = await Promise.all([
-      readJsonFile('users.json'),
-      readJsonFile('withdrawals.json')
+    res.status(201).json({
+      message: `Enrolled in the ${plan.name}`,
+      enrollment: describeEnrollment(result.enrollment, plans, config)
+    });
+  } catch (error) {
+    console.error('Enrollment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+// ============ END SAVINGS PLAN ROUTES ============
+
+app.get('/api/bank-details', authenticateUser, async (req, res) => {
+  try {
+    const [user, config, plans] = await Promise.all([
+      storage.users.findById(req.user.id),
+      storage.config.get(),
+      getSavingsPlans()
     ]);
     
-    const user = users.find(u => u.id === userId);
     if (!user) return res.status(404).json({ error: 'User not found' });
 
-    // Check if user is eligible
-    if (user.monthsCompletedCurrentCycle < 6) {
-      return res.status(400).json({ 
-        error: 'User must complete 6 months of savings before withdrawal' 
-      });
+    const resolved = resolveEnrollment(user, plans, req.query.enrollmentId);
+    if (!resolved) return res.status(404).json({ error: 'Enrollment not found' });
+
+    const bankDetails = config.companyBankDetails || {};
+    const { baseAmount, penaltyAmount, totalAmount, penaltyBreakdown } =
+      getPaymentDue(resolved.enrollment, resolved.plan, config);
+
+    res.json({
+      bankName: bankDetails.bankName,
+      accountNumber: bankDetails.accountNumber,
+      accountName: bankDetails.accountName,
+      enrollmentId: resolved.enrollment.id,
+      planName: resolved.plan.name,
+      monthlyPaymentAmount: baseAmount,
+      penaltyAmount,
+      penaltyBreakdown,
+      amountDue: totalAmount
+    });
+  } catch (error) {
+    console.error('Bank details error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// The next instalment with the penalty breakdown behind any amount added to it
+app.get('/api/payments/due', authenticateUser, async (req, res) => {
+  try {
+    const [user, config, plans] = await Promise.all([
+      storage.users.findById(req.user.id),
+      storage.config.get(),
+      getSavingsPlans()
+    ]);
+    
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const resolved = resolveEnrollment(user, plans, req.query.enrollmentId);
+    if (!resolved) return res.status(404).json({ error: 'Enrollment not found' });
+
+    const { enrollment, plan } = resolved;
+
+    res.json({
+      enrollmentId: enrollment.id,
+      planId: plan.id,
+      ...getPaymentDue(enrollment, plan, config),
+      schedule: enrollment.lastPaymentDate ? calculateNextPayment(enrollment, plan, config) : null
+    });
+  } catch (error) {
+    console.error('Payment due error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// The rejected payment a new submission replaces: the latest one for the
+// same enrolment, cycle and due date
+function latestRejectedPayment(payments, enrollment, dueDate) {
+  return payments
+    .filter(payment =>
+      payment.status === 'rejected' &&
+      payment.savingsCycle === enrollment.savingsCycle &&
+      (payment.dueDate || null) === dueDate
+    )
+    .sort((a, b) => new Date(b.date) - new Date(a.date))[0] || null;
+}
+
+// Marks the payment's entry in the member's payment history, adding it if
+// the payment was never recorded there
+function recordPaymentHistory(user, payment, status) {
+  user.paymentHistory = user.paymentHistory || [];
+  const entry = user.paymentHistory.find(item => item.transactionId === payment.id) ||
+    // Entries from before history was keyed by transaction
+    user.paymentHistory.find(item =>
+      !item.transactionId &&
+      item.status === 'pending' &&
+      item.enrollmentId === payment.enrollmentId &&
+      item.amount === payment.amount
+    );
+
+  if (entry) {
+    Object.assign(entry, { transactionId: payment.id, status });
+  } else {
+    user.paymentHistory.push({
+      date: payment.date,
+      transactionId: payment.id,
+      enrollmentId: payment.enrollmentId,
+      amount: payment.amount,
+      penalty: payment.penaltyAmount || 0,
+      status
+    });
+  }
+  return user;
+}
+
+// Applies a reviewed payment to its enrolment. An approved payment moves the
+// due date on and clears the overdue state; the cycle's first one also fixes
+// the date its due dates run from. Payments submitted before approval did this
+// were applied on submission, so rejecting one puts the enrolment back to its
+// last approved payment in the cycle.
+async function applyPaymentReview(tx, payment, { plans, config }) {
+  const user = await tx.users.findById(payment.userId);
+  const enrollment = findEnrollment(user, payment.enrollmentId);
+  const appliedOnSubmission = payment.effectsAppliedAt === undefined;
+
+  let changes = null;
+  if (payment.status === 'completed') {
+    changes = {
+      lastPaymentDate: payment.date,
+      cycleStartDate: (enrollment && enrollment.cycleStartDate) || payment.date,
+      isPaymentOverdue: false,
+      overdueAmount: 0,
+      paymentReminders: null
+    };
+  } else if (enrollment && appliedOnSubmission) {
+    const approved = (await tx.transactions.findBy({ userId: user.id, type: 'payment', enrollmentId: enrollment.id }))
+      .filter(t => t.status === 'completed' && t.savingsCycle === enrollment.savingsCycle)
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+    const restored = approved.length > 0 ?
+      { ...enrollment, lastPaymentDate: approved[0].date } :
+      { ...enrollment, lastPaymentDate: null, cycleStartDate: null };
+    const plan = findPlan(plans, enrollment.planId);
+    const info = restored.lastPaymentDate && plan ? calculateNextPayment(restored, plan, config) : null;
+    changes = {
+      lastPaymentDate: restored.lastPaymentDate,
+      cycleStartDate: restored.cycleStartDate || null,
+      isPaymentOverdue: info ? info.isOverdue : false,
+      overdueAmount: info && info.isOverdue ? info.penaltyAmount : 0,
+      paymentReminders: null
+    };
+  }
+
+  await tx.users.update(user.id, current => {
+    if (enrollment && changes) updateEnrollment(current, enrollment.id, changes);
+    recordPaymentHistory(current, payment, payment.status);
+  });
+  return changes;
+}
+
+// Abandoned online checkouts stop blocking new payments after this long
+const CHECKOUT_TTL_MS = 30 * 60 * 1000;
+
+function isAbandonedCheckout(payment) {
+  return payment.method === 'gateway' && Date.now() - new Date(payment.date).getTime() > CHECKOUT_TTL_MS;
+}
+
+// Builds the pending payment for an enrolment's next contribution at the
+// amount due now. Nothing about the enrolment changes until the payment is
+// approved, so only one payment per plan can be pending at a time: two
+// couldn't both cover the same due period.
+async function preparePayment(tx, user, enrollment, plan, config) {
+  // The withdrawal pays out the cycle as it stands, so it can't take more
+  const withdrawals = await tx.withdrawals.findBy({ userId: user.id, enrollmentId: enrollment.id });
+  if (withdrawals.some(isOpenWithdrawal)) {
+    return { status: 409, error: 'Payments to this plan are paused while its withdrawal is in progress' };
+  }
+
+  const payments = await tx.transactions.findBy({ userId: user.id, type: 'payment', enrollmentId: enrollment.id });
+  const pending = payments.find(payment => payment.status === 'pending');
+  if (pending && isAbandonedCheckout(pending)) {
+    await tx.transactions.update(pending.id, { status: 'expired', processedAt: new Date().toISOString() });
+  } else if (pending) {
+    return { status: 409, error: 'A payment for this plan is already awaiting review' };
+  }
+
+  const { baseAmount, penaltyAmount, totalAmount, penaltyBreakdown } = getPaymentDue(enrollment, plan, config);
+  const dueDate = enrollment.lastPaymentDate ?
+    calculateNextPayment(enrollment, plan, config).nextPaymentDate :
+    null;
+  const rejected = latestRejectedPayment(payments, enrollment, dueDate);
+  const planLabel = plan.frequency === 'weekly' ? 'Weekly payment' : 'Monthly payment';
+
+  return {
+    payment: {
+      id: generateId('txn'),
+      userId: user.id,
+      enrollmentId: enrollment.id,
+      planId: plan.id,
+      type: 'payment',
+      amount: totalAmount,
+      baseAmount,
+      penaltyAmount,
+      penaltyBreakdown,
+      date: new Date().toISOString(),
+      status: 'pending',
+      savingsCycle: enrollment.savingsCycle,
+      dueDate,
+      resubmissionOf: rejected ? rejected.id : null,
+      effectsAppliedAt: null,
+      rejectionReason: null,
+      description: penaltyAmount > 0 ?
+        `${planLabel} with ₦${penaltyAmount.toLocaleString()} penalty` :
+        planLabel
+    }
+  };
+}
+
+app.post('/api/payments', authenticateUser, async (req, res) => {
+  try {
+    const { receiptImage, enrollmentId } = req.body;
+    const userId = req.user.id;
+    
+    if (!receiptImage) {
+      return res.status(400).json({ error: 'Receipt image is required' });
+    }
+
+    const [existingUser, config, plans] = await Promise.all([
+      storage.users.findById(userId),
+      storage.config.get(),
+      getSavingsPlans()
+    ]);
+
+    if (!existingUser) return res.status(404).json({ error: 'User not found' });
+
+    const target = resolveEnrollment(existingUser, plans, enrollmentId);
+    if (!target || target.enrollment.status !== 'active') {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+
+    const accepted = await acceptReceipt(receiptImage, { userId, uploadedBy: userId, purpose: 'payment' });
+    if (accepted.error) {
+      return res.status(accepted.status).json({ error: accepted.error });
+    }
+
+    const result = await storage.transaction(
+      ['transactions', 'users', 'receipts', 'withdrawals'],
+      async tx => {
+        const user = await tx.users.findById(userId);
+        const { enrollment, plan } = resolveEnrollment(user, plans, target.enrollment.id);
+
+        const prepared = await preparePayment(tx, user, enrollment, plan, config);
+        if (prepared.error) return prepared;
+
+        const paymentAmount = prepared.payment.amount;
+        const newTransaction = {
+          ...prepared.payment,
+          method: 'manual',
+          receiptImage: accepted.receipt.filename,
+          receiptThumbnail: accepted.receipt.thumbnail,
+          receiptId: accepted.receipt.id
+        };
+
+        const receipt = await registerReceipt(tx, accepted.receipt, { transactionId: newTransaction.id });
+        newTransaction.duplicateReceipt = receipt.duplicateOf.length > 0;
+        await tx.transactions.insert(newTransaction);
+
+        return {
+          user,
+          enrollment: { ...enrollment, plan },
+          newTransaction,
+          paymentAmount,
+          receipt
+        };
+      }
+    );
+
+    if (result.error) {
+      discardReceipt(accepted.receipt);
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { user, enrollment, newTransaction, paymentAmount, receipt } = result;
+
+    sendNotificationToUser(userId, {
+      id: generateId('notif'),
+      title: newTransaction.resubmissionOf ? '📤 Payment Resubmitted' : '📤 Payment Submitted',
+      message: `Your payment of ₦${paymentAmount.toLocaleString()} has been submitted for review`,
+      type: 'payment',
+      isRead: false,
+      createdAt: new Date().toISOString()
+    });
+
+    sendNotificationToAdmin({
+      id: generateId('notif'),
+      title: receipt.duplicateOf.length > 0 ? '⚠️ New Payment (Duplicate Receipt)' : '💰 New Payment',
+      message: `${user.firstName} ${user.lastName} submitted ₦${paymentAmount.toLocaleString()} payment` +
+        (receipt.duplicateOf.length > 0 ? ' with a receipt already used for another payment' : ''),
+      type: 'payment',
+      isRead: false,
+      createdAt: new Date().toISOString(),
+      userId: userId
+    });
+
+    io.to(adminRoom('payments.view')).emit('newPayment', newTransaction);
+    io.to(`user_${userId}`).emit('transactionAdded', newTransaction);
+
+    res.status(201).json({
+      message: 'Payment submitted for review',
+      transaction: newTransaction,
+      nextPaymentInfo: enrollment.lastPaymentDate ? calculateNextPayment(enrollment, enrollment.plan, config) : null
+    });
+  } catch (error) {
+    console.error('Payment error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Starts an online payment for the amount due now. The payment stays pending
+// until the provider's webhook says how it went.
+app.post('/api/payments/checkout', authenticateUser, async (req, res) => {
+  try {
+    if (!paymentGateway) {
+      return res.status(503).json({ error: 'Online payments are not available. Please upload a receipt instead.' });
+    }
+
+    const { enrollmentId } = req.body || {};
+    const userId = req.user.id;
+
+    const [existingUser, config, plans] = await Promise.all([
+      storage.users.findById(userId),
+      storage.config.get(),
+      getSavingsPlans()
+    ]);
+
+    if (!existingUser) return res.status(404).json({ error: 'User not found' });
+
+    const target = resolveEnrollment(existingUser, plans, enrollmentId);
+    if (!target || target.enrollment.status !== 'active') {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+
+    const result = await storage.transaction(['transactions', 'users', 'withdrawals'], async tx => {
+      const user = await tx.users.findById(userId);
+      const { enrollment, plan } = resolveEnrollment(user, plans, target.enrollment.id);
+
+      const prepared = await preparePayment(tx, user, enrollment, plan, config);
+      if (prepared.error) return prepared;
+
+      const payment = {
+        ...prepared.payment,
+        method: 'gateway',
+        provider: paymentGateway.name,
+        gatewayReference: generateId('pay'),
+        providerReference: null,
+        checkoutUrl: null,
+        gatewayEvents: []
+      };
+      await tx.transactions.insert(payment);
+      return { payment, user };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    // The provider is called outside the lock; a checkout it won't start is expired
+    const { user } = result;
+    let checkout;
+    try {
+      checkout = await paymentGateway.createCheckout({
+        reference: result.payment.gatewayReference,
+        amount: result.payment.amount,
+        currency: PAYMENT_CURRENCY,
+        customer: { email: user.email, name: `${user.firstName} ${user.lastName}` }
+      });
+    } catch (error) {
+      console.error('Checkout error:', error);
+      await storage.transactions.update(result.payment.id, { status: 'expired', processedAt: new Date().toISOString() });
+      return res.status(502).json({ error: 'Could not start the online payment. Please try again or upload a receipt.' });
+    }
+
+    const payment = await storage.transactions.update(result.payment.id, {
+      providerReference: checkout.providerReference,
+      checkoutUrl: checkout.checkoutUrl
+    });
+
+    io.to(`user_${userId}`).emit('transactionAdded', payment);
+
+    res.status(201).json({
+      message: 'Checkout started',
+      transaction: payment,
+      checkoutUrl: checkout.checkoutUrl
+    });
+  } catch (error) {
+    console.error('Checkout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Provider webhooks. A successful charge for the amount the payment expects
+// completes it as an approval would; anything odd is left for an admin.
+app.post('/api/payments/webhooks/:provider', auditTrail.middleware, async (req, res) => {
+  try {
+    if (!paymentGateway || req.params.provider !== paymentGateway.name) {
+      return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+    if (!req.rawBody || !paymentGateway.verifyWebhook(req.rawBody, req.headers)) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    const event = paymentGateway.parseWebhook(req.body);
+    auditTrail.describe(req, { action: 'payment.webhook', targetType: 'transaction', details: { event } });
+    if (!PAYMENT_EVENTS.includes(event.type)) {
+      return res.json({ received: true });
+    }
+
+    const [config, plans] = await Promise.all([storage.config.get(), getSavingsPlans()]);
+    const by = `gateway:${paymentGateway.name}`;
+
+    const result = await storage.transaction(PAYMENT_REVIEW_COLLECTIONS, async tx => {
+      const [payment] = await tx.transactions.findBy({ gatewayReference: event.reference });
+      if (!payment) return { status: 404, error: 'Payment not found' };
+
+      payment.gatewayEvents = [...(payment.gatewayEvents || []), {
+        type: event.type,
+        providerReference: event.providerReference,
+        amount: event.amount,
+        message: event.message,
+        receivedAt: new Date().toISOString()
+      }];
+
+      // Providers retry webhooks, so a settled payment only records the event
+      if (payment.status !== 'pending') {
+        await tx.transactions.update(payment.id, { gatewayEvents: payment.gatewayEvents });
+        return { payment, unexpected: event.type === 'payment.succeeded' && payment.status !== 'completed' };
+      }
+      if (event.type === 'payment.failed') {
+        const reviewed = await reviewPayment(tx, payment, {
+          status: 'failed',
+          by,
+          reason: event.message || 'The payment was declined',
+          plans,
+          config
+        });
+        return { ...reviewed, settled: true };
+      }
+      if (event.amount !== payment.amount || (event.currency && event.currency !== PAYMENT_CURRENCY)) {
+        payment.amountMismatch = { expected: payment.amount, received: event.amount, currency: event.currency };
+        await tx.transactions.update(payment.id, payment);
+        return { payment, unexpected: true };
+      }
+
+      const reviewed = await reviewPayment(tx, payment, { status: 'completed', by, plans, config });
+      return { ...reviewed, settled: true };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { payment, unexpected, settled } = result;
+    auditTrail.describe(req, { targetId: payment.id, after: { status: payment.status } });
+
+    if (unexpected) {
+      sendNotificationToAdmin({
+        title: '⚠️ Online Payment Needs Review',
+        message: payment.amountMismatch ?
+          `Provider reported ₦${payment.amountMismatch.received} for payment ${payment.id}, expected ₦${payment.amount.toLocaleString()}` :
+          `Provider reported a successful charge for ${payment.status} payment ${payment.id}`,
+        type: 'payment',
+        userId: payment.userId
+      });
+    } else if (settled) {
+      announcePaymentReview(result);
+      io.to(adminRoom('payments.view')).emit('paymentSettled', payment);
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// The mock provider's hosted checkout, served by the app so the whole flow
+// runs offline. Only the member who started a checkout can see or settle it.
+async function findMockCheckout(req) {
+  const [payment] = await storage.transactions.findBy({ gatewayReference: req.params.reference });
+  return payment && payment.userId === req.user.id ? payment : null;
+}
+
+if (paymentGateway && paymentGateway.name === 'mock') {
+  app.get('/api/payments/mock-checkout/:reference', authenticateUser, async (req, res) => {
+    try {
+      const payment = await findMockCheckout(req);
+      if (!payment) return res.status(404).json({ error: 'Checkout not found' });
+
+      res.json({
+        reference: payment.gatewayReference,
+        amount: payment.amount,
+        currency: PAYMENT_CURRENCY,
+        description: payment.description,
+        status: payment.status
+      });
+    } catch (error) {
+      console.error('Mock checkout error:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Pays or declines the checkout by sending the provider's webhook back to
+  // this server, over loopback rather than whatever host the request named
+  app.post('/api/payments/mock-checkout/:reference', authenticateUser, async (req, res) => {
+    try {
+      const { outcome } = req.body || {};
+      if (!['success', 'failure'].includes(outcome)) {
+        return res.status(400).json({ error: 'Outcome must be success or failure' });
+      }
+
+      const payment = await findMockCheckout(req);
+      if (!payment) return res.status(404).json({ error: 'Checkout not found' });
+      if (payment.status !== 'pending') {
+        return res.status(409).json({ error: `This checkout is already ${payment.status}` });
+      }
+
+      const webhook = paymentGateway.buildWebhook({
+        reference: payment.gatewayReference,
+        providerReference: payment.providerReference,
+        amount: payment.amount,
+        currency: PAYMENT_CURRENCY
+      }, outcome);
+      const delivery = await fetch(`http://127.0.0.1:${PORT}/api/payments/webhooks/mock`, {
+        method: 'POST',
+        headers: webhook.headers,
+        body: webhook.body
+      });
+      if (!delivery.ok) {
+        return res.status(502).json({ error: 'The payment webhook was not accepted' });
+      }
+
+      const settled = await storage.transactions.findById(payment.id);
+      res.json({ status: settled.status });
+    } catch (error) {
+      console.error('Mock checkout error:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+}
+
+const HISTORY_TYPES = ['payment', 'withdrawal', 'penalty', 'bonus'];
+const HISTORY_STATUSES = ['pending', 'completed', 'rejected'];
+const WITHDRAWAL_HISTORY_STATUS = {
+  requested: 'pending',
+  approved: 'pending',
+  paid: 'pending',
+  disputed: 'pending',
+  confirmed: 'completed',
+  rejected: 'rejected',
+  cancelled: 'rejected'
+};
+
+// One list of everything that moved money for a user: payments, penalties and
+// bonuses from transactions, plus withdrawals. Penalties charged as part of a
+// payment are listed under the payment and only appear on their own when
+// filtering by the penalty type.
+async function getUserHistory(user, { type } = {}) {
+  const [transactions, withdrawals] = await Promise.all([
+    storage.transactions.findBy({ userId: user.id }),
+    storage.withdrawals.findBy({ userId: user.id })
+  ]);
+  const cycleOf = enrollmentId => {
+    const enrollment = findEnrollment(user, enrollmentId);
+    return enrollment ? enrollment.savingsCycle : 1;
+  };
+
+  const entries = transactions.map(t => ({
+    ...t,
+    type: t.type === 'referral_bonus' ? 'bonus' : t.type
+  }));
+
+  if (type === 'penalty') {
+    transactions
+      .filter(t => t.type === 'payment' && t.penaltyAmount > 0)
+      .forEach(t => entries.push({
+        id: `${t.id}_penalty`,
+        userId: t.userId,
+        type: 'penalty',
+        amount: t.penaltyAmount,
+        date: t.date,
+        status: t.status,
+        enrollmentId: t.enrollmentId,
+        savingsCycle: t.savingsCycle,
+        archived: t.archived,
+        paymentId: t.id,
+        description: `Late payment penalty included in payment ${t.id}`
+      }));
+  }
+
+  withdrawals.forEach(w => entries.push({
+    id: w.id,
+    userId: w.userId,
+    type: 'withdrawal',
+    amount: w.amount,
+    date: w.date,
+    status: WITHDRAWAL_HISTORY_STATUS[w.status] || w.status,
+    withdrawalStatus: w.status,
+    enrollmentId: w.enrollmentId,
+    savingsCycle: w.savingsCycle,
+    // A confirmed withdrawal closes its cycle along with that cycle's payments
+    archived: w.status === 'confirmed',
+    receiptImage: w.receiptImage,
+    description: w.adminMessage || 'Withdrawal'
+  }));
+
+  // Records from before cycles were tagged count as the current cycle until archived
+  return entries.map(entry => ({
+    ...entry,
+    savingsCycle: entry.savingsCycle || (entry.archived ? null : cycleOf(entry.enrollmentId))
+  }));
+}
+
+app.get('/api/transactions', authenticateUser, async (req, res) => {
+  try {
+    const { type, status, from, to, cycle, includeArchived, enrollmentId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    // transactions.html sends status filters through the type parameter
+    let typeFilter = type;
+    let statusFilter = status;
+    if (HISTORY_STATUSES.includes(type)) {
+      typeFilter = null;
+      statusFilter = statusFilter || type;
+    }
+
+    if (typeFilter && !HISTORY_TYPES.includes(typeFilter)) {
+      return res.status(400).json({ error: `Type must be one of: ${HISTORY_TYPES.join(', ')}` });
+    }
+    if (statusFilter && !HISTORY_STATUSES.includes(statusFilter)) {
+      return res.status(400).json({ error: `Status must be one of: ${HISTORY_STATUSES.join(', ')}` });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+    // A bare end date covers that whole day
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate.setUTCHours(23, 59, 59, 999);
+    }
+
+    const cycleFilter = cycle ? parseInt(cycle) : null;
+    if (cycle && !(cycleFilter > 0)) {
+      return res.status(400).json({ error: 'Invalid savings cycle' });
+    }
+
+    const user = await storage.users.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const enrollment = findEnrollment(user, enrollmentId);
+    if (enrollmentId && !enrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+
+    // Asking for a specific cycle implies its archived records
+    const showArchived = includeArchived === 'true' || cycleFilter !== null;
+
+    const entries = (await getUserHistory(user, { type: typeFilter }))
+      .filter(entry => showArchived || !entry.archived)
+      .filter(entry => !enrollmentId || entry.enrollmentId === enrollmentId)
+      .filter(entry => !typeFilter || entry.type === typeFilter)
+      .filter(entry => !statusFilter || entry.status === statusFilter)
+      .filter(entry => !fromDate || new Date(entry.date) >= fromDate)
+      .filter(entry => !toDate || new Date(entry.date) <= toDate)
+      .filter(entry => cycleFilter === null || entry.savingsCycle === cycleFilter)
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    const startIndex = (page - 1) * limit;
+
+    res.json({
+      transactions: entries.slice(startIndex, startIndex + limit),
+      total: entries.length,
+      page,
+      limit,
+      hasMore: startIndex + limit < entries.length,
+      currentSavingsCycle: enrollment ? enrollment.savingsCycle : 1
+    });
+  } catch (error) {
+    console.error('Transactions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/referrals/bonuses', authenticateUser, async (req, res) => {
+  try {
+    const bonuses = await storage.referralBonuses.findBy({ referrerId: req.user.id });
+    const referees = await Promise.all(
+      [...new Set(bonuses.map(bonus => bonus.refereeId))].map(id => storage.users.findById(id))
+    );
+
+    res.json({
+      bonuses: bonuses
+        .map(bonus => {
+          const referee = referees.find(u => u && u.id === bonus.refereeId);
+          return { ...bonus, refereeName: referee ? getReferrerDisplayName(referee) : 'Former member' };
+        })
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+      summary: summarizeReferralBonuses(bonuses)
+    });
+  } catch (error) {
+    console.error('Referral bonuses error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/withdrawals', authenticateUser, async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    const userId = req.user.id;
+    
+    const userWithdrawals = await storage.withdrawals.findBy(
+      status ? { userId, status } : { userId }
+    );
+    
+    const sortedWithdrawals = userWithdrawals
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .map(withReceiptUrls);
+    
+    if (limit) {
+      res.json(sortedWithdrawals.slice(0, parseInt(limit)));
+    } else {
+      res.json(sortedWithdrawals);
+    }
+  } catch (error) {
+    console.error('Withdrawals error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Payouts wait until changed bank details have been checked by an admin
+const BANK_DETAILS_UNVERIFIED_ERROR = "The member's new bank details must be verified before paying out";
+
+function withdrawalBankDetails(user) {
+  return {
+    name: `${user.firstName} ${user.lastName}`,
+    email: user.email,
+    phone: user.phone,
+    accountNumber: user.accountNumber,
+    accountName: user.accountName,
+    bankName: user.bankName,
+    bankCode: user.bankCode || null
+  };
+}
+
+// A payment still waiting on review or its provider. Checkouts abandoned
+// before that are expired by the member's next payment.
+function isAwaitingPayment(payment) {
+  return payment.type === 'payment' && payment.status === 'pending' && !isAbandonedCheckout(payment);
+}
+
+// What withdrawing an enrolment's savings would pay out, and why it can't be
+// requested yet when it can't. `withdrawals` and `transactions` are the member's own.
+function getWithdrawalPreview(user, plans, config, withdrawals, transactions, enrollmentId) {
+  const resolved = resolveEnrollment(user, plans, enrollmentId);
+  if (!resolved) return null;
+
+  const { enrollment, plan } = resolved;
+  const payout = calculateWithdrawalPayout(enrollment, config);
+  const openWithdrawal = withdrawals.find(w => w.enrollmentId === enrollment.id && isOpenWithdrawal(w));
+  const awaitingPayment = transactions.some(t => t.enrollmentId === enrollment.id && isAwaitingPayment(t));
+
+  let reason = null;
+  if (!isWithdrawalEligible(enrollment, plan)) {
+    reason = `Complete ${requiredContributions(plan)} contributions on the ${plan.name} before withdrawing`;
+  } else if (openWithdrawal) {
+    reason = 'A withdrawal for this plan is already in progress';
+  } else if (awaitingPayment) {
+    reason = 'Wait for your payment to this plan to be confirmed before withdrawing';
+  } else if (payout.netAmount <= 0) {
+    reason = 'Your savings do not cover the withdrawal fee';
+  } else if (!user.accountNumber || !user.bankName) {
+    reason = 'Add your bank details to your profile before withdrawing';
+  } else if (user.bankDetailsPendingVerification) {
+    reason = 'Your new bank details are waiting to be verified';
+  }
+
+  return {
+    enrollmentId: enrollment.id,
+    planId: plan.id,
+    planName: plan.name,
+    savingsCycle: enrollment.savingsCycle,
+    ...payout,
+    canRequest: reason === null,
+    reason,
+    openWithdrawalId: openWithdrawal ? openWithdrawal.id : null,
+    bankDetails: {
+      bankName: user.bankName,
+      accountNumber: user.accountNumber,
+      accountName: user.accountName
+    }
+  };
+}
+
+app.get('/api/withdrawals/preview', authenticateUser, async (req, res) => {
+  try {
+    const [user, plans, config, withdrawals, payments] = await Promise.all([
+      storage.users.findById(req.user.id),
+      getSavingsPlans(),
+      storage.config.get(),
+      storage.withdrawals.findBy({ userId: req.user.id }),
+      storage.transactions.findBy({ userId: req.user.id, type: 'payment' })
+    ]);
+
+    const preview = getWithdrawalPreview(user, plans, config, withdrawals, payments, req.query.enrollmentId);
+    if (!preview) return res.status(404).json({ error: 'Enrollment not found' });
+
+    res.json(preview);
+  } catch (error) {
+    console.error('Withdrawal preview error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/withdrawals', authenticateUser, auditTrail.middleware, async (req, res) => {
+  try {
+    const { enrollmentId } = req.body || {};
+    const userId = req.user.id;
+    const [plans, config] = await Promise.all([
+      getSavingsPlans(),
+      storage.config.get()
+    ]);
+
+    auditTrail.describe(req, { action: 'withdrawal.request', targetType: 'withdrawal' });
+
+    // Checked under the users, transactions and withdrawals locks so two requests
+    // can't both get through, and neither a bank details change nor a payment
+    // can land before the insert
+    const result = await storage.transaction(['users', 'transactions', 'withdrawals'], async tx => {
+      const user = await tx.users.findById(userId);
+      if (!user) return { status: 404, error: 'User not found' };
+
+      const [withdrawals, payments] = await Promise.all([
+        tx.withdrawals.findBy({ userId }),
+        tx.transactions.findBy({ userId, type: 'payment' })
+      ]);
+      const preview = getWithdrawalPreview(user, plans, config, withdrawals, payments, enrollmentId);
+      if (!preview) return { status: 404, error: 'Enrollment not found' };
+      if (!preview.canRequest) return { status: 400, error: preview.reason };
+
+      const now = new Date().toISOString();
+      const withdrawal = {
+        id: generateId('with'),
+        userId,
+        enrollmentId: preview.enrollmentId,
+        planId: preview.planId,
+        savingsCycle: preview.savingsCycle,
+        grossAmount: preview.grossAmount,
+        fee: preview.fee,
+        amount: preview.netAmount,
+        status: 'requested',
+        date: now,
+        requestedAt: now,
+        processedAt: null,
+        receiptImage: null,
+        receiptThumbnail: null,
+        receiptId: null,
+        adminMessage: null,
+        confirmed: false,
+        userDetails: withdrawalBankDetails(user),
+        history: [{ from: null, to: 'requested', by: userId, reason: null, at: now }]
+      };
+      await tx.withdrawals.insert(withdrawal);
+      return { withdrawal, user };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { withdrawal, user } = result;
+    auditTrail.describe(req, {
+      targetId: withdrawal.id,
+      after: { status: withdrawal.status, grossAmount: withdrawal.grossAmount, fee: withdrawal.fee, amount: withdrawal.amount },
+      details: { enrollmentId: withdrawal.enrollmentId }
+    });
+
+    sendNotificationToAdmin({
+      title: '🏦 Withdrawal Requested',
+      message: `${user.firstName} ${user.lastName} requested a withdrawal of ₦${withdrawal.amount.toLocaleString()}`,
+      type: 'withdrawal',
+      userId
+    });
+
+    io.to(adminRoom('withdrawals.view')).emit('withdrawalRequested', withdrawal);
+
+    res.status(201).json({
+      message: 'Withdrawal requested',
+      withdrawal
+    });
+  } catch (error) {
+    console.error('Withdrawal request error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Members can withdraw a request until it has been paid
+app.post('/api/withdrawals/:id/cancel', authenticateUser, auditTrail.middleware, async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const userId = req.user.id;
+
+    auditTrail.describe(req, { action: 'withdrawal.cancel', targetType: 'withdrawal', targetId: req.params.id });
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to cancel a withdrawal' });
+    }
+
+    const result = await storage.transaction(['withdrawals'], async tx => {
+      const withdrawal = await tx.withdrawals.findById(req.params.id);
+      if (!withdrawal || withdrawal.userId !== userId) {
+        return { status: 404, error: 'Withdrawal not found' };
+      }
+      if (!canTransition(withdrawal, 'cancelled')) {
+        return { status: 409, error: `A ${withdrawal.status} withdrawal can't be cancelled` };
+      }
+
+      const before = withdrawal.status;
+      transitionWithdrawal(withdrawal, 'cancelled', { by: userId, reason });
+      withdrawal.cancellationReason = reason;
+      await tx.withdrawals.update(withdrawal.id, withdrawal);
+      return { withdrawal, before };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { withdrawal } = result;
+    auditTrail.describe(req, { before: { status: result.before }, after: { status: withdrawal.status }, details: { reason } });
+
+    sendNotificationToAdmin({
+      title: '🚫 Withdrawal Cancelled',
+      message: `${req.user.firstName} ${req.user.lastName} cancelled their withdrawal request: ${reason}`,
+      type: 'withdrawal',
+      userId
+    });
+
+    io.to(adminRoom('withdrawals.view')).emit('withdrawalUpdated', withdrawal);
+
+    res.json({
+      message: 'Withdrawal cancelled',
+      withdrawal
+    });
+  } catch (error) {
+    console.error('Withdrawal cancel error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// FIXED: WITHDRAWAL CONFIRMATION WITH DASHBOARD RESET
+app.post('/api/withdrawals/:id/confirm', authenticateUser, auditTrail.middleware, async (req, res) => {
+  try {
+    const withdrawalId = req.params.id;
+    const { confirmed, reason, evidenceImage } = req.body;
+    const userId = req.user.id;
+    
+    auditTrail.describe(req, {
+      action: confirmed ? 'withdrawal.confirm' : 'withdrawal.dispute',
+      targetType: 'withdrawal',
+      targetId: withdrawalId
+    });
+    
+    // A member who says the money never arrived opens a dispute, which needs a reason
+    let evidence = null;
+    if (!confirmed) {
+      if (!reason) {
+        return res.status(400).json({ error: 'Tell us what went wrong with this withdrawal' });
+      }
+      if (evidenceImage) {
+        const accepted = await acceptReceipt(evidenceImage, { userId, uploadedBy: userId, purpose: 'dispute' });
+        if (accepted.error) {
+          return res.status(accepted.status).json({ error: accepted.error });
+        }
+        evidence = accepted.receipt;
+      }
+    }
+
+    // Confirming settles the cycle for good, so it needs a code sent to the
+    // member. The withdrawal may be paid while this waits for the lock, so the
+    // code is checked whatever its status is now.
+    if (confirmed) {
+      const [user, pending] = await Promise.all([
+        storage.users.findById(userId),
+        storage.withdrawals.findById(withdrawalId)
+      ]);
+      if (!pending || pending.userId !== userId) {
+        return res.status(404).json({ error: 'Withdrawal not found' });
+      }
+      const codeCheck = await checkActionCode(user, 'withdrawal_confirm', withdrawalId, req.body.code);
+      if (codeCheck) {
+        const { status, ...body } = codeCheck;
+        return res.status(status).json(body);
+      }
+    }
+    
+    // Withdrawal status, the payout, the savings reset and the archive land together
+    const result = await storage.transaction(
+      ['withdrawals', 'users', 'transactions', 'ledgerEntries', 'disputes', 'receipts'],
+      async tx => {
+        const withdrawal = await tx.withdrawals.findById(withdrawalId);
+        
+        if (!withdrawal || withdrawal.userId !== userId) {
+          return { status: 404, error: 'Withdrawal not found' };
+        }
+        if (withdrawal.status !== 'paid') {
+          return { status: 409, error: `Withdrawal is ${withdrawal.status}, not awaiting confirmation` };
+        }
+        
+        let dispute = null;
+        if (confirmed) {
+          transitionWithdrawal(withdrawal, 'confirmed', { by: userId });
+          withdrawal.confirmed = true;
+          withdrawal.confirmedAt = withdrawal.updatedAt;
+          withdrawal.userNote = 'Confirmed by user';
+          await settleWithdrawal(tx, withdrawal);
+        } else {
+          const now = new Date().toISOString();
+          dispute = {
+            id: generateId('dspt'),
+            withdrawalId,
+            userId,
+            enrollmentId: withdrawal.enrollmentId,
+            reason,
+            evidenceReceiptId: evidence ? evidence.id : null,
+            evidenceThumbnail: evidence ? evidence.thumbnail : null,
+            status: 'open',
+            resolution: null,
+            resolutionNote: null,
+            resolvedBy: null,
+            resolvedAt: null,
+            createdAt: now
+          };
+          if (evidence) {
+            await registerReceipt(tx, evidence, { disputeId: dispute.id, withdrawalId });
+          }
+          await tx.disputes.insert(dispute);
+          
+          transitionWithdrawal(withdrawal, 'disputed', { by: userId, reason, at: now });
+          withdrawal.disputeId = dispute.id;
+          withdrawal.userNote = 'Disputed by user';
+        }
+        
+        await tx.withdrawals.update(withdrawalId, withdrawal);
+        return { withdrawal, dispute };
+      }
+    );
+    
+    if (result.error) {
+      discardReceipt(evidence);
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    const { withdrawal, dispute } = result;
+    auditTrail.describe(req, {
+      before: { status: 'paid' },
+      after: { status: withdrawal.status },
+      details: {
+        amount: withdrawal.amount,
+        fee: withdrawal.fee || 0,
+        enrollmentId: withdrawal.enrollmentId,
+        ...(dispute ? { disputeId: dispute.id, reason } : {})
+      }
+    });
+    
+    if (confirmed) {
+      sendNotificationToAdmin({
+        id: generateId('notif'),
+        title: '✅ Withdrawal Confirmed',
+        message: `User confirmed receipt of withdrawal and dashboard has been reset`,
+        type: 'withdrawal',
+        isRead: false,
+        createdAt: new Date().toISOString(),
+        userId: userId
+      });
+      
+      // Send notification to user about reset
+      sendNotificationToUser(userId, {
+        id: generateId('notif'),
+        title: '🔄 Dashboard Reset',
+        message: 'Your dashboard has been reset to start a new savings cycle!',
+        type: 'reset',
+        isRead: false,
+        createdAt: new Date().toISOString()
+      });
+      
+    } else {
+      sendNotificationToAdmin({
+        title: '⚠️ Withdrawal Disputed',
+        message: `User says withdrawal of ₦${withdrawal.amount.toLocaleString()} was not received: ${reason}`,
+        type: 'withdrawal',
+        userId: userId
+      });
+      io.to(adminRoom('withdrawals.view')).emit('disputeOpened', withDisputeUrls(dispute));
+    }
+    
+    io.to(adminRoom('withdrawals.view')).emit('withdrawalUpdated', withdrawal);
+    io.to(`user_${userId}`).emit('withdrawalUpdated', withdrawal);
+    
+    res.json({
+      message: confirmed ?
+        'Withdrawal confirmed and dashboard reset' :
+        'Withdrawal disputed. We will look into it and get back to you.',
+      withdrawal,
+      ...(dispute ? { dispute: withDisputeUrls(dispute) } : {})
+    });
+  } catch (error) {
+    console.error('Withdrawal confirmation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/withdrawals/:id/dispute', authenticateUser, async (req, res) => {
+  try {
+    const withdrawal = await storage.withdrawals.findById(req.params.id);
+    if (!withdrawal || withdrawal.userId !== req.user.id || !withdrawal.disputeId) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    const dispute = await storage.disputes.findById(withdrawal.disputeId);
+    if (!dispute) return res.status(404).json({ error: 'Dispute not found' });
+
+    res.json(withDisputeUrls(dispute));
+  } catch (error) {
+    console.error('Withdrawal dispute error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============ RECEIPT ROUTES ============
+// Fresh signed links for a receipt, for its owner or an admin who may review it
+app.get('/api/receipts/:id/url', authenticateUser, async (req, res) => {
+  try {
+    const receipt = await storage.receipts.findById(req.params.id);
+    const permission = receipt && ['withdrawal', 'dispute'].includes(receipt.purpose) ? 'withdrawals.view' : 'payments.view';
+    if (!receipt || (receipt.userId !== req.user.id && !hasPermission(req.user, permission))) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    res.json({
+      url: signReceiptUrl(receipt.id),
+      thumbnailUrl: receipt.thumbnail ? signReceiptUrl(receipt.id, 'thumbnail') : null,
+      expiresAt: new Date(Date.now() + RECEIPT_URL_TTL_MS).toISOString()
+    });
+  } catch (error) {
+    console.error('Receipt URL error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/receipts/:id/image', async (req, res) => {
+  try {
+    const variant = req.query.variant === 'thumbnail' ? 'thumbnail' : 'original';
+    if (!verifyReceiptSignature(req.params.id, { ...req.query, variant })) {
+      return res.status(403).json({ error: 'This receipt link is invalid or has expired' });
+    }
+
+    const receipt = await storage.receipts.findById(req.params.id);
+    const filename = receipt && (variant === 'thumbnail' ? receipt.thumbnail : receipt.filename);
+    if (!filename) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    res.sendFile(filename, {
+      root: path.join(__dirname, 'uploads'),
+      dotfiles: 'deny',
+      headers: {
+        'Cache-Control': `private, max-age=${RECEIPT_URL_TTL_MS / 1000}`,
+        'X-Content-Type-Options': 'nosniff'
+      }
+    }, err => {
+      if (err && !res.headersSent) {
+        res.status(err.status === 404 ? 404 : 500).json({ error: err.status === 404 ? 'Receipt not found' : 'Server error' });
+      }
+    });
+  } catch (error) {
+    console.error('Receipt image error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+// ============ END RECEIPT ROUTES ============
+
+// ============ STATEMENT ROUTES ============
+const STATEMENT_FORMATS = ['pdf', 'csv', 'json'];
+
+// The statement's period from the query: from/to dates, or an enrolment and
+// one of its savings cycles (the current one unless `cycle` is given)
+function statementPeriod(query, user) {
+  if (query.enrollmentId) {
+    const enrollment = findEnrollment(user, String(query.enrollmentId));
+    if (!enrollment) {
+      return { status: 404, error: 'Enrollment not found' };
+    }
+    const cycle = query.cycle === undefined ? enrollment.savingsCycle : Number(query.cycle);
+    if (!Number.isInteger(cycle) || cycle < 1 || cycle > enrollment.savingsCycle) {
+      return { status: 400, error: 'Invalid savings cycle' };
+    }
+    return { enrollmentId: enrollment.id, cycle };
+  }
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return { status: 400, error: 'Invalid date' };
+  }
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to.setUTCHours(23, 59, 59, 999);
+  }
+  if (from && to && from > to) {
+    return { status: 400, error: 'The start date must be before the end date' };
+  }
+  return { from, to };
+}
+
+// Builds a member's statement from their ledger and sends it as a PDF
+// (default), CSV or JSON
+async function sendStatement(req, res, userId) {
+  const format = req.query.format || 'pdf';
+  if (!STATEMENT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Format must be one of: ${STATEMENT_FORMATS.join(', ')}` });
+  }
+
+  const [user, journals, plans, config] = await Promise.all([
+    storage.users.findById(userId),
+    storage.ledgerEntries.findBy({ userId }),
+    getSavingsPlans(),
+    storage.config.get()
+  ]);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const period = statementPeriod(req.query, user);
+  if (period.error) {
+    return res.status(period.status).json({ error: period.error });
+  }
+
+  const statement = buildStatement({ user, journals, plans, config, ...period });
+  const filename = `statement-${user.lastName}-${statement.generatedAt.slice(0, 10)}`.replace(/[^\w.-]/g, '_');
+
+  if (format === 'json') {
+    return res.json({ statement });
+  }
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(statementToCsv(statement));
+  }
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+  res.send(statementToPdf(statement));
+}
+
+app.get('/api/statements', authenticateUser, async (req, res) => {
+  try {
+    await sendStatement(req, res, req.user.id);
+  } catch (error) {
+    console.error('Statement error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+// ============ END STATEMENT ROUTES ============
+
+// ============ NOTIFICATION ROUTES ============
+// Users and admins get the same inbox API; inboxCriteria picks whose
+// notifications a request can see.
+function mountNotificationInbox(basePath, middleware, inboxCriteria) {
+  app.get(basePath, middleware, async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const criteria = inboxCriteria(req);
+
+      const notifications = (await storage.notifications.findBy(criteria))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      const unreadCount = notifications.filter(n => !n.isRead).length;
+      const visible = req.query.unreadOnly === 'true' ?
+        notifications.filter(n => !n.isRead) :
+        notifications;
+
+      const startIndex = (page - 1) * limit;
+
+      res.json({
+        notifications: visible.slice(startIndex, startIndex + limit),
+        total: visible.length,
+        unreadCount,
+        page,
+        limit,
+        hasMore: startIndex + limit < visible.length
+      });
+    } catch (error) {
+      console.error('Notifications error:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.put(`${basePath}/read-all`, middleware, async (req, res) => {
+    try {
+      auditTrail.describe(req, { action: 'notification.read_all', targetType: 'notification' });
+      const criteria = { ...inboxCriteria(req), isRead: false };
+      const readAt = new Date().toISOString();
+
+      const updated = await storage.notifications.updateWhere(
+        notification => matchesCriteria(notification, criteria),
+        { isRead: true, readAt }
+      );
+
+      res.json({
+        message: 'All notifications marked as read',
+        updated: updated.length
+      });
+    } catch (error) {
+      console.error('Mark all notifications read error:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.put(`${basePath}/:id/read`, middleware, async (req, res) => {
+    try {
+      auditTrail.describe(req, { action: 'notification.read', targetType: 'notification', targetId: req.params.id });
+      const notification = await storage.notifications.findById(req.params.id);
+      
+      if (!notification || !matchesCriteria(notification, inboxCriteria(req))) {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
+
+      const updated = notification.isRead ?
+        notification :
+        await storage.notifications.update(notification.id, { isRead: true, readAt: new Date().toISOString() });
+
+      res.json({
+        message: 'Notification marked as read',
+        notification: updated
+      });
+    } catch (error) {
+      console.error('Mark notification read error:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  app.delete(`${basePath}/:id`, middleware, async (req, res) => {
+    try {
+      auditTrail.describe(req, { action: 'notification.delete', targetType: 'notification', targetId: req.params.id });
+      const notification = await storage.notifications.findById(req.params.id);
+      
+      if (!notification || !matchesCriteria(notification, inboxCriteria(req))) {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
+
+      await storage.notifications.remove(notification.id);
+
+      res.json({ message: 'Notification deleted' });
+    } catch (error) {
+      console.error('Delete notification error:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+}
+
+// Which channels a member gets notifications on besides the in-app inbox.
+// `available` lists the channels this server can actually send on.
+app.get('/api/notifications/preferences', authenticateUser, async (req, res) => {
+  try {
+    const user = await storage.users.findById(req.user.id);
+    res.json({
+      preferences: notificationDispatcher.preferencesFor(user),
+      available: notificationDispatcher.channels
+    });
+  } catch (error) {
+    console.error('Notification preferences error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.put('/api/notifications/preferences', authenticateUser, async (req, res) => {
+  try {
+    const changes = {};
+    for (const channel of Object.keys(DEFAULT_CHANNEL_PREFERENCES)) {
+      if (req.body[channel] === undefined) continue;
+      if (typeof req.body[channel] !== 'boolean') {
+        return res.status(400).json({ error: `${channel} must be true or false` });
+      }
+      changes[channel] = req.body[channel];
+    }
+
+    let before = null;
+    const user = await storage.users.update(req.user.id, user => {
+      before = notificationDispatcher.preferencesFor(user);
+      user.notificationPreferences = { ...before, ...changes };
+      user.updatedAt = new Date().toISOString();
+    });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    auditTrail.describe(req, {
+      action: 'notification.preferences',
+      targetType: 'user',
+      targetId: user.id,
+      before,
+      after: user.notificationPreferences
+    });
+
+    res.json({
+      message: 'Notification preferences updated',
+      preferences: user.notificationPreferences,
+      available: notificationDispatcher.channels
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+mountNotificationInbox('/api/notifications', authenticateUser, req => ({ userId: req.user.id }));
+mountNotificationInbox('/api/admin/notifications', requirePermission('notifications.view'), () => ({ audience: 'admin' }));
+// ============ END NOTIFICATION ROUTES ============
+
+// ============ SCHEDULED JOBS ============
+const PAYMENT_SWEEP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const NOTIFICATION_RETRY_INTERVAL_MS = 60 * 1000;
+
+// Works out what the sweep should change for one enrolment: its overdue state
+// and, at most, one notice that hasn't been sent for the current due date yet.
+function planPaymentSweep(enrollment, plan, config) {
+  if (!enrollment.lastPaymentDate || enrollment.status !== 'active') return null;
+
+  const reminderDays = config.paymentReminderDays ?? 3;
+  const info = calculateNextPayment(enrollment, plan, config);
+  const overdueAmount = info.isOverdue ? info.penaltyAmount : 0;
+  const reminders = enrollment.paymentReminders && enrollment.paymentReminders.dueDate === info.nextPaymentDate ?
+    enrollment.paymentReminders :
+    { dueDate: info.nextPaymentDate, sent: [] };
+  const periodName = plan.frequency === 'weekly' ? 'week' : 'month';
+
+  let notice = null;
+  if (info.isOverdue) {
+    // A new notice each time another period's penalty is added
+    notice = {
+      key: `overdue_${info.overdueMonths}`,
+      title: '⚠️ Payment Overdue!',
+      message: `Your ${plan.name} payment is ${info.overdueMonths} ${periodName}(s) overdue. Penalty: ₦${info.penaltyAmount.toLocaleString()}`,
+      type: 'payment_overdue'
+    };
+  } else if (info.daysUntilNextPayment === 0) {
+    notice = {
+      key: 'due',
+      title: '💰 Payment Due Today!',
+      message: `Your ${plan.name} payment of ₦${info.totalAmount.toLocaleString()} is due today.`,
+      type: 'payment_due'
+    };
+  } else if (info.daysUntilNextPayment > 0 && info.daysUntilNextPayment <= reminderDays) {
+    notice = {
+      key: 'reminder',
+      title: '⏰ Payment Reminder',
+      message: `Your next ${plan.name} payment of ₦${info.totalAmount.toLocaleString()} is due in ${info.daysUntilNextPayment} day(s)`,
+      type: 'payment_reminder'
+    };
+  }
+  if (notice && reminders.sent.includes(notice.key)) {
+    notice = null;
+  }
+
+  const overdueChanged = Boolean(enrollment.isPaymentOverdue) !== info.isOverdue ||
+    (enrollment.overdueAmount || 0) !== overdueAmount;
+  if (!notice && !overdueChanged) return null;
+
+  return {
+    changes: {
+      isPaymentOverdue: info.isOverdue,
+      overdueAmount,
+      paymentReminders: notice ?
+        { dueDate: reminders.dueDate, sent: [...reminders.sent, notice.key] } :
+        reminders
+    },
+    notice,
+    info
+  };
+}
+
+async function runPaymentSweep() {
+  const [config, plans] = await Promise.all([storage.config.get(), getSavingsPlans()]);
+  const planSweep = enrollment => {
+    const plan = findPlan(plans, enrollment.planId);
+    return plan ? planPaymentSweep(enrollment, plan, config) : null;
+  };
+
+  const users = await storage.users.filter(user =>
+    getActiveEnrollments(user).some(enrollment => enrollment.lastPaymentDate)
+  );
+  const summary = { usersChecked: users.length, remindersSent: 0, markedOverdue: 0, overdueCleared: 0 };
+
+  for (const listed of users) {
+    const pending = getActiveEnrollments(listed).filter(planSweep);
+    if (pending.length === 0) continue;
+
+    // Re-plan against the stored record in case a payment landed since the listing
+    const steps = [];
+    await storage.users.update(listed.id, user => {
+      getActiveEnrollments(user).forEach(enrollment => {
+        const step = planSweep(enrollment);
+        if (!step) return;
+        updateEnrollment(user, enrollment.id, step.changes);
+        steps.push({ ...step, wasOverdue: Boolean(enrollment.isPaymentOverdue) });
+      });
+    });
+
+    for (const step of steps) {
+      if (step.info.isOverdue && !step.wasOverdue) summary.markedOverdue++;
+      if (!step.info.isOverdue && step.wasOverdue) summary.overdueCleared++;
+
+      if (step.notice) {
+        const { key, ...notification } = step.notice;
+        await sendNotificationToUser(listed.id, notification);
+        summary.remindersSent++;
+      }
+    }
+  }
+
+  return summary;
+}
+
+scheduler.register('payment-sweep', {
+  description: 'Sends payment reminders and updates overdue state for every member',
+  intervalMs: PAYMENT_SWEEP_INTERVAL_MS,
+  run: runPaymentSweep
+});
+
+scheduler.register('notification-retry', {
+  description: 'Retries email and SMS notifications that failed to send',
+  intervalMs: NOTIFICATION_RETRY_INTERVAL_MS,
+  run: () => notificationDispatcher.retryDue()
+});
+// ============ END SCHEDULED JOBS ============
+
+// ============ ADMIN ROUTES ============
+
+// Promote the first admin. Only works while no admin exists, for an email
+// listed in config.adminEmails, with the ADMIN_SETUP_TOKEN from the environment.
+app.post('/api/admin/bootstrap', authenticateUser, async (req, res) => {
+  try {
+    const { setupToken } = req.body;
+    const expectedToken = process.env.ADMIN_SETUP_TOKEN;
+
+    if (!expectedToken) {
+      return res.status(403).json({ error: 'Admin bootstrap is disabled' });
+    }
+
+    const [adminCount, config] = await Promise.all([
+      storage.users.count({ isAdmin: true }),
+      storage.config.get()
+    ]);
+
+    if (adminCount > 0) {
+      return res.status(409).json({ error: 'An admin account already exists' });
+    }
+
+    const adminEmails = (config.adminEmails || []).map(e => e.toLowerCase());
+    if (!adminEmails.includes(req.user.email.toLowerCase())) {
+      return res.status(403).json({ error: 'This email is not listed as an admin email' });
+    }
+
+    if (hashToken(setupToken) !== hashToken(expectedToken)) {
+      return res.status(403).json({ error: 'Invalid setup token' });
+    }
+
+    await storage.users.update(req.user.id, {
+      isAdmin: true,
+      adminRoles: ['super_admin'],
+      updatedAt: new Date().toISOString()
+    });
+    auditTrail.describe(req, {
+      action: 'admin.bootstrap',
+      targetType: 'user',
+      targetId: req.user.id,
+      before: { isAdmin: false, adminRoles: [] },
+      after: { isAdmin: true, adminRoles: ['super_admin'] }
+    });
+
+    console.log(`👑 ${req.user.email} bootstrapped as the first admin`);
+
+    res.json({ message: 'Admin account created' });
+  } catch (error) {
+    console.error('Admin bootstrap error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET dashboard stats
+app.get('/api/admin/dashboard', requirePermission('dashboard.view'), async (req, res) => {
+  try {
+    const [users, config, plans] = await Promise.all([
+      storage.users.list(),
+      storage.config.get(),
+      getSavingsPlans()
+    ]);
+    
+    const totalUsers = users.length;
+    
+    let overdueUsers = 0;
+    let pendingReceipts = 0;
+    let eligibleForWithdrawal = 0;
+    
+    users.forEach(user => {
+      if (hasEligibleEnrollment(user, plans)) {
+        eligibleForWithdrawal++;
+      }
+      
+      if (hasOverdueEnrollment(user, plans, config)) {
+        overdueUsers++;
+      }
+    });
+    
+    pendingReceipts = await storage.transactions.count({ type: 'payment', status: 'pending' });
+    
+    res.json({
+      stats: {
+        totalUsers,
+        overdueUsers,
+        eligibleForWithdrawal,
+        pendingReceipts
+      }
+    });
+  } catch (error) {
+    console.error('Admin dashboard error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET users with filters
+app.get('/api/admin/users', requirePermission('users.view'), async (req, res) => {
+  try {
+    const { search, page = 1, limit = 20, filter } = req.query;
+    const [users, config, plans] = await Promise.all([
+      storage.users.list(),
+      storage.config.get(),
+      getSavingsPlans()
+    ]);
+    
+    let filteredUsers = [...users];
+    
+    if (search) {
+      const searchTerm = search.toLowerCase();
+      filteredUsers = filteredUsers.filter(user => 
+        user.firstName.toLowerCase().includes(searchTerm) ||
+        user.lastName.toLowerCase().includes(searchTerm) ||
+        user.email.toLowerCase().includes(searchTerm) ||
+        user.phone.includes(search) ||
+        user.referralCode.toLowerCase().includes(searchTerm)
+      );
+    }
+    
+    if (filter === 'eligible') {
+      filteredUsers = filteredUsers.filter(user => hasEligibleEnrollment(user, plans));
+    } else if (filter === 'overdue') {
+      filteredUsers = filteredUsers.filter(user => hasOverdueEnrollment(user, plans, config));
+    } else if (filter === 'pending_receipts') {
+      const pendingPayments = await storage.transactions.findBy({ type: 'payment', status: 'pending' });
+      const pendingUserIds = new Set(pendingPayments.map(t => t.userId));
+      filteredUsers = filteredUsers.filter(user => pendingUserIds.has(user.id));
+    }
+    
+    const enrichedUsers = filteredUsers.map(user => {
+      const enrollments = getActiveEnrollments(user).map(e => describeEnrollment(e, plans, config));
+      const primary = enrollments[0] || null;
+      const nextPaymentInfo = primary ? primary.nextPaymentInfo : null;
+      let countdown = null;
+      
+      if (nextPaymentInfo) {
+        const nextPaymentDate = new Date(nextPaymentInfo.nextPaymentDate);
+        const now = new Date();
+        const timeDiff = nextPaymentDate - now;
+        
+        countdown = {
+          days: Math.floor(timeDiff / (1000 * 60 * 60 * 24)),
+          hours: Math.floor((timeDiff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60)),
+          minutes: Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60)),
+          seconds: Math.floor((timeDiff % (1000 * 60)) / 1000),
+          totalSeconds: Math.floor(timeDiff / 1000),
+          isOverdue: timeDiff < 0
+        };
+      }
+      
+      const isEligible = enrollments.some(enrollment => enrollment.isEligible);
+      
+      return {
+        ...sanitizeUser(user),
+        nextPaymentInfo,
+        countdown,
+        isEligible,
+        enrollments,
+        totalSaved: primary ? primary.totalSavedCurrentCycle : 0,
+        monthsCompleted: primary ? primary.contributionsCompletedCurrentCycle : 0
+      };
+    });
+    
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    const paginatedUsers = enrichedUsers.slice(startIndex, endIndex);
+    
+    res.json({
+      total: filteredUsers.length,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      users: paginatedUsers
+    });
+  } catch (error) {
+    console.error('Admin users error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET user details
+app.get('/api/admin/users/:id', requirePermission('users.view'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const [user, config, plans] = await Promise.all([
+      storage.users.findById(userId),
+      storage.config.get(),
+      getSavingsPlans()
+    ]);
+    
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    
+    const enrollments = (user.enrollments || []).map(e => describeEnrollment(e, plans, config));
+    const primary = enrollments.find(enrollment => enrollment.status === 'active') || null;
+    const nextPaymentInfo = primary ? primary.nextPaymentInfo : null;
+    let countdown = null;
+    
+    if (nextPaymentInfo) {
+      const nextPaymentDate = new Date(nextPaymentInfo.nextPaymentDate);
+      const now = new Date();
+      const timeDiff = nextPaymentDate - now;
+      
+      countdown = {
+        days: Math.floor(timeDiff / (1000 * 60 * 60 * 24)),
+        hours: Math.floor((timeDiff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60)),
+        minutes: Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60)),
+        seconds: Math.floor((timeDiff % (1000 * 60)) / 1000),
+        totalSeconds: Math.floor(timeDiff / 1000),
+        isOverdue: timeDiff < 0
+      };
+    }
+    
+    const stats = {
+      totalSaved: primary ? primary.totalSavedCurrentCycle : 0,
+      monthsCompleted: primary ? primary.contributionsCompletedCurrentCycle : 0,
+      isEligible: enrollments.some(enrollment => enrollment.status === 'active' && enrollment.isEligible)
+    };
+    
+    res.json({
+      user: sanitizeUser(user),
+      stats,
+      enrollments,
+      nextPaymentInfo,
+      countdown
+    });
+  } catch (error) {
+    console.error('User details error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PROCESS WITHDRAWAL (Admin sends receipt to user)
+app.post('/api/admin/withdrawals/process', requirePermission('withdrawals.process'), async (req, res) => {
+  try {
+    const { userId, receiptImage, message, enrollmentId } = req.body;
+    
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+
+    const [user, plans, config] = await Promise.all([
+      storage.users.findById(userId),
+      getSavingsPlans(),
+      storage.config.get()
+    ]);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const resolved = resolveEnrollment(user, plans, enrollmentId);
+    if (!resolved) return res.status(404).json({ error: 'Enrollment not found' });
+    const { enrollment, plan } = resolved;
+
+    // Check if user is eligible
+    if (!isWithdrawalEligible(enrollment, plan)) {
+      return res.status(400).json({ 
+        error: `User must complete ${requiredContributions(plan)} contributions on the ${plan.name} before withdrawal` 
+      });
+    }
+
+    let receipt = null;
+    if (receiptImage) {
+      const accepted = await acceptReceipt(receiptImage, { userId, uploadedBy: req.user.id, purpose: 'withdrawal' });
+      if (accepted.error) {
+        return res.status(accepted.status).json({ error: accepted.error });
+      }
+      receipt = accepted.receipt;
+    }
+
+    // Paying without a member's request skips straight to paid; the fee still applies
+    const { grossAmount, fee, netAmount: withdrawalAmount } = calculateWithdrawalPayout(enrollment, config);
+    const now = new Date().toISOString();
+
+    const newWithdrawal = {
+      id: generateId('with'),
+      userId,
+      enrollmentId: enrollment.id,
+      planId: plan.id,
+      grossAmount,
+      fee,
+      amount: withdrawalAmount,
+      status: 'paid', // User needs to confirm this
+      savingsCycle: enrollment.savingsCycle,
+      receiptImage: receipt ? receipt.filename : null,
+      receiptThumbnail: receipt ? receipt.thumbnail : null,
+      receiptId: receipt ? receipt.id : null,
+      adminMessage: message || 'Withdrawal processed by admin',
+      date: now,
+      processedAt: now,
+      paidBy: req.user.id,
+      confirmed: false,
+      userDetails: withdrawalBankDetails(user),
+      history: [{ from: null, to: 'paid', by: req.user.id, reason: null, at: now }]
+    };
+
+    const result = await storage.transaction(['withdrawals', 'receipts', 'users', 'transactions'], async tx => {
+      const current = await tx.users.findById(userId);
+      if (current.bankDetailsPendingVerification) {
+        return { status: 409, error: BANK_DETAILS_UNVERIFIED_ERROR };
+      }
+      const open = await tx.withdrawals.filter(w => w.enrollmentId === enrollment.id && isOpenWithdrawal(w));
+      if (open.length > 0) {
+        return { status: 409, error: 'A withdrawal for this plan is already in progress' };
+      }
+      const payments = await tx.transactions.findBy({ userId, type: 'payment', enrollmentId: enrollment.id });
+      if (payments.some(isAwaitingPayment)) {
+        return { status: 409, error: 'The member has a payment to this plan awaiting review' };
+      }
+
+      await tx.withdrawals.insert(newWithdrawal);
+      if (receipt) {
+        await registerReceipt(tx, receipt, { withdrawalId: newWithdrawal.id });
+      }
+      return {};
+    });
+    if (result.error) {
+      discardReceipt(receipt);
+      return res.status(result.status).json({ error: result.error });
+    }
+    auditTrail.describe(req, {
+      action: 'withdrawal.process',
+      targetType: 'withdrawal',
+      targetId: newWithdrawal.id,
+      after: { status: newWithdrawal.status, grossAmount, fee, amount: withdrawalAmount },
+      details: { userId, enrollmentId: enrollment.id, receiptId: newWithdrawal.receiptId }
+    });
+
+    sendNotificationToUser(userId, {
+      id: generateId('notif'),
+      title: '💸 Withdrawal Processed',
+      message: `Your withdrawal of ₦${withdrawalAmount.toLocaleString()} has been processed. Please confirm receipt to start new savings cycle.`,
+      type: 'withdrawal',
+      isRead: false,
+      createdAt: new Date().toISOString(),
+      withdrawalId: newWithdrawal.id
+    });
+
+    sendNotificationToAdmin({
+      id: generateId('notif'),
+      title: '💸 Withdrawal Processed',
+      message: `Withdrawal of ₦${withdrawalAmount.toLocaleString()} processed for ${user.firstName} ${user.lastName}`,
+      type: 'withdrawal',
+      isRead: false,
+      createdAt: new Date().toISOString(),
+      userId: userId
+    });
+
+    io.to(adminRoom('withdrawals.view')).emit('withdrawalProcessed', newWithdrawal);
+    io.to(`user_${userId}`).emit('withdrawalCreated', newWithdrawal);
+
+    res.status(201).json({
+      message: 'Withdrawal processed successfully',
+      withdrawal: newWithdrawal
+    });
+  } catch (error) {
+    console.error('Admin withdrawal error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET ELIGIBLE USERS FOR WITHDRAWAL
+app.get('/api/admin/withdrawals/eligible', requirePermission('withdrawals.view'), async (req, res) => {
+  try {
+    const [users, withdrawals, plans, config] = await Promise.all([
+      storage.users.list(),
+      storage.withdrawals.list(),
+      getSavingsPlans(),
+      storage.config.get()
+    ]);
+    
+    const eligibleUsers = users.filter(user => hasEligibleEnrollment(user, plans)).map(user => {
+      const userWithdrawals = withdrawals.filter(w => w.userId === user.id);
+      const hasPendingWithdrawals = userWithdrawals.some(isOpenWithdrawal);
+      const eligibleEnrollments = getActiveEnrollments(user)
+        .map(e => describeEnrollment(e, plans, config))
+        .filter(enrollment => enrollment.isEligible);
+      
+      return {
+        id: user.id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        phone: user.phone,
+        accountNumber: user.accountNumber,
+        accountName: user.accountName,
+        bankName: user.bankName,
+        monthsCompleted: eligibleEnrollments[0].contributionsCompletedCurrentCycle,
+        totalSaved: eligibleEnrollments[0].totalSavedCurrentCycle,
+        isEligible: true,
+        eligibleEnrollments,
+        hasPendingWithdrawals: hasPendingWithdrawals,
+        withdrawals: userWithdrawals,
+        hasReceipts: userWithdrawals.some(w => w.receiptImage),
+        confirmedWithdrawals: userWithdrawals.filter(w => w.confirmed).length,
+        lastWithdrawal: userWithdrawals.sort((a, b) => new Date(b.date) - new Date(a.date))[0]
+      };
+    });
+    
+    res.json(eligibleUsers);
+  } catch (error) {
+    console.error('Eligible users error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET all withdrawals
+app.get('/api/admin/withdrawals', requirePermission('withdrawals.view'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const withdrawals = status ?
+      await storage.withdrawals.findBy({ status }) :
+      await storage.withdrawals.list();
+    const users = await storage.users.list();
+    
+    const enrichedWithdrawals = withdrawals.map(withdrawal => {
+      const user = users.find(u => u.id === withdrawal.userId);
+      return {
+        ...withReceiptUrls(withdrawal),
+        userName: user ? `${user.firstName} ${user.lastName}` : 'Unknown User',
+        userEmail: user ? user.email : 'N/A',
+        userPhone: user ? user.phone : 'N/A'
+      };
+    }).sort((a, b) => new Date(b.date) - new Date(a.date));
+    
+    res.json(enrichedWithdrawals);
+  } catch (error) {
+    console.error('Admin withdrawals error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Moves a withdrawal along the admin queue. `apply` can make further changes
+// inside the same transaction, or return { status, error } to abort.
+async function advanceWithdrawal(req, status, { reason = null, collections = [], apply } = {}) {
+  return storage.transaction(['withdrawals', ...collections], async tx => {
+    const withdrawal = await tx.withdrawals.findById(req.params.id);
+    if (!withdrawal) return { status: 404, error: 'Withdrawal not found' };
+    if (!canTransition(withdrawal, status)) {
+      return { status: 409, error: `A ${withdrawal.status} withdrawal can't be moved to ${status}` };
+    }
+
+    const before = withdrawal.status;
+    if (apply) {
+      const failure = await apply(tx, withdrawal);
+      if (failure) return failure;
+    }
+    transitionWithdrawal(withdrawal, status, { by: req.user.id, reason });
+    await tx.withdrawals.update(withdrawal.id, withdrawal);
+    return { withdrawal, before };
+  });
+}
+
+// Approval refreshes the payout in case the member saved more after asking
+app.post('/api/admin/withdrawals/:id/approve', requirePermission('withdrawals.process'), async (req, res) => {
+  try {
+    auditTrail.describe(req, { action: 'withdrawal.approve', targetType: 'withdrawal', targetId: req.params.id });
+    const [plans, config] = await Promise.all([getSavingsPlans(), storage.config.get()]);
+
+    const result = await advanceWithdrawal(req, 'approved', {
+      collections: ['users'],
+      apply: async (tx, withdrawal) => {
+        const user = await tx.users.findById(withdrawal.userId);
+        const resolved = user && resolveEnrollment(user, plans, withdrawal.enrollmentId);
+        if (!resolved || !isWithdrawalEligible(resolved.enrollment, resolved.plan)) {
+          return { status: 409, error: 'The member is no longer eligible to withdraw from this plan' };
+        }
+        if (user.bankDetailsPendingVerification) {
+          return { status: 409, error: BANK_DETAILS_UNVERIFIED_ERROR };
+        }
+
+        const { grossAmount, fee, netAmount } = calculateWithdrawalPayout(resolved.enrollment, config);
+        Object.assign(withdrawal, { grossAmount, fee, amount: netAmount, approvedBy: req.user.id });
+        withdrawal.approvedAt = new Date().toISOString();
+      }
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { withdrawal } = result;
+    auditTrail.describe(req, {
+      before: { status: result.before },
+      after: { status: withdrawal.status, grossAmount: withdrawal.grossAmount, fee: withdrawal.fee, amount: withdrawal.amount }
+    });
+
+    sendNotificationToUser(withdrawal.userId, {
+      title: '👍 Withdrawal Approved',
+      message: `Your withdrawal of ₦${withdrawal.amount.toLocaleString()} has been approved and will be paid shortly`,
+      type: 'withdrawal'
+    });
+    io.to(`user_${withdrawal.userId}`).emit('withdrawalUpdated', withdrawal);
+
+    res.json({
+      message: 'Withdrawal approved',
+      withdrawal
+    });
+  } catch (error) {
+    console.error('Withdrawal approve error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/admin/withdrawals/:id/reject', requirePermission('withdrawals.process'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    auditTrail.describe(req, { action: 'withdrawal.reject', targetType: 'withdrawal', targetId: req.params.id });
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to reject a withdrawal' });
+    }
+
+    const result = await advanceWithdrawal(req, 'rejected', {
+      reason,
+      apply: async (tx, withdrawal) => {
+        if (withdrawal.status === 'disputed') {
+          return { status: 409, error: 'Resolve the dispute on this withdrawal instead' };
+        }
+        withdrawal.rejectionReason = reason;
+        withdrawal.rejectedBy = req.user.id;
+      }
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { withdrawal } = result;
+    auditTrail.describe(req, { before: { status: result.before }, after: { status: withdrawal.status }, details: { reason } });
+
+    sendNotificationToUser(withdrawal.userId, {
+      title: '❌ Withdrawal Rejected',
+      message: `Your withdrawal request was rejected: ${reason}`,
+      type: 'withdrawal'
+    });
+    io.to(`user_${withdrawal.userId}`).emit('withdrawalUpdated', withdrawal);
+
+    res.json({
+      message: 'Withdrawal rejected',
+      withdrawal
+    });
+  } catch (error) {
+    console.error('Withdrawal reject error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Records the bank transfer for an approved withdrawal; the member then confirms receipt
+app.post('/api/admin/withdrawals/:id/pay', requirePermission('withdrawals.process'), async (req, res) => {
+  try {
+    const { receiptImage, message, reference } = req.body || {};
+    auditTrail.describe(req, { action: 'withdrawal.pay', targetType: 'withdrawal', targetId: req.params.id });
+
+    const existing = await storage.withdrawals.findById(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Withdrawal not found' });
+
+    let receipt = null;
+    if (receiptImage) {
+      const accepted = await acceptReceipt(receiptImage, {
+        userId: existing.userId,
+        uploadedBy: req.user.id,
+        purpose: 'withdrawal'
+      });
+      if (accepted.error) {
+        return res.status(accepted.status).json({ error: accepted.error });
+      }
+      receipt = accepted.receipt;
+    }
+
+    const result = await advanceWithdrawal(req, 'paid', {
+      collections: ['receipts', 'users'],
+      apply: async (tx, withdrawal) => {
+        if (withdrawal.status === 'disputed') {
+          return { status: 409, error: 'Resolve the dispute on this withdrawal instead' };
+        }
+        const user = await tx.users.findById(withdrawal.userId);
+        if (user && user.bankDetailsPendingVerification) {
+          return { status: 409, error: BANK_DETAILS_UNVERIFIED_ERROR };
+        }
+        if (receipt) {
+          await registerReceipt(tx, receipt, { withdrawalId: withdrawal.id });
+        }
+        Object.assign(withdrawal, {
+          receiptImage: receipt ? receipt.filename : null,
+          receiptThumbnail: receipt ? receipt.thumbnail : null,
+          receiptId: receipt ? receipt.id : null,
+          adminMessage: message || 'Withdrawal processed by admin',
+          paymentReference: reference || null,
+          processedAt: new Date().toISOString(),
+          paidBy: req.user.id
+        });
+      }
+    });
+
+    if (result.error) {
+      discardReceipt(receipt);
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { withdrawal } = result;
+    auditTrail.describe(req, {
+      before: { status: result.before },
+      after: { status: withdrawal.status, amount: withdrawal.amount },
+      details: { reference: reference || null, receiptId: withdrawal.receiptId }
+    });
+
+    sendNotificationToUser(withdrawal.userId, {
+      title: '💸 Withdrawal Processed',
+      message: `Your withdrawal of ₦${withdrawal.amount.toLocaleString()} has been paid. Please confirm receipt to start new savings cycle.`,
+      type: 'withdrawal',
+      withdrawalId: withdrawal.id
+    });
+
+    io.to(adminRoom('withdrawals.view')).emit('withdrawalProcessed', withdrawal);
+    io.to(`user_${withdrawal.userId}`).emit('withdrawalCreated', withReceiptUrls(withdrawal));
+
+    res.json({
+      message: 'Withdrawal marked as paid',
+      withdrawal
+    });
+  } catch (error) {
+    console.error('Withdrawal pay error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/admin/disputes', requirePermission('withdrawals.view'), async (req, res) => {
+  try {
+    const { status, userId } = req.query;
+    const criteria = {};
+    if (status) criteria.status = status;
+    if (userId) criteria.userId = userId;
+
+    const [disputes, withdrawals, users] = await Promise.all([
+      storage.disputes.findBy(criteria),
+      storage.withdrawals.list(),
+      storage.users.list()
+    ]);
+
+    const enrichedDisputes = disputes
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(dispute => {
+        const user = users.find(u => u.id === dispute.userId);
+        const withdrawal = withdrawals.find(w => w.id === dispute.withdrawalId);
+        return {
+          ...withDisputeUrls(dispute),
+          withdrawal: withdrawal ? withReceiptUrls(withdrawal) : null,
+          userName: user ? `${user.firstName} ${user.lastName}` : 'Unknown',
+          userEmail: user ? user.email : 'Unknown'
+        };
+      });
+
+    res.json(enrichedDisputes);
+  } catch (error) {
+    console.error('Admin disputes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Resolves an open dispute one of three ways: re-send the receipt for the
+// original transfer, record a new transfer, or close it. Re-sending and
+// re-issuing put the withdrawal back in front of the member to confirm;
+// closing settles it as paid or rejects it.
+app.post('/api/admin/disputes/:id/resolve', requirePermission('withdrawals.process'), async (req, res) => {
+  try {
+    const { action, outcome, note, receiptImage, reference } = req.body || {};
+    auditTrail.describe(req, { action: 'dispute.resolve', targetType: 'dispute', targetId: req.params.id });
+
+    if (!Object.prototype.hasOwnProperty.call(DISPUTE_RESOLUTIONS, action)) {
+      return res.status(400).json({ error: `Action must be one of: ${Object.keys(DISPUTE_RESOLUTIONS).join(', ')}` });
+    }
+    if (action === 'close' && !DISPUTE_CLOSE_OUTCOMES[outcome]) {
+      return res.status(400).json({ error: `Outcome must be one of: ${Object.keys(DISPUTE_CLOSE_OUTCOMES).join(', ')}` });
+    }
+    if (action === 'close' && !note) {
+      return res.status(400).json({ error: 'A note is required to close a dispute' });
+    }
+    if (action === 'resend_receipt' && !receiptImage) {
+      return res.status(400).json({ error: 'Attach the receipt to re-send' });
+    }
+
+    const existing = await storage.disputes.findById(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Dispute not found' });
+
+    let receipt = null;
+    if (receiptImage) {
+      const accepted = await acceptReceipt(receiptImage, {
+        userId: existing.userId,
+        uploadedBy: req.user.id,
+        purpose: 'withdrawal'
+      });
+      if (accepted.error) {
+        return res.status(accepted.status).json({ error: accepted.error });
+      }
+      receipt = accepted.receipt;
+    }
+
+    const result = await storage.transaction(
+      ['disputes', 'withdrawals', 'receipts', 'users', 'transactions', 'ledgerEntries'],
+      async tx => {
+        const dispute = await tx.disputes.findById(req.params.id);
+        if (dispute.status !== 'open') {
+          return { status: 409, error: 'Dispute has already been resolved' };
+        }
+        const withdrawal = await tx.withdrawals.findById(dispute.withdrawalId);
+        if (!withdrawal || withdrawal.status !== 'disputed') {
+          return { status: 409, error: 'Withdrawal is not awaiting a dispute resolution' };
+        }
+
+        const now = new Date().toISOString();
+        const status = DISPUTE_RESOLUTIONS[action] || DISPUTE_CLOSE_OUTCOMES[outcome];
+        transitionWithdrawal(withdrawal, status, { by: req.user.id, reason: note || null, at: now });
+
+        if (receipt) {
+          await registerReceipt(tx, receipt, { withdrawalId: withdrawal.id });
+          Object.assign(withdrawal, {
+            receiptImage: receipt.filename,
+            receiptThumbnail: receipt.thumbnail,
+            receiptId: receipt.id
+          });
+        }
+        if (action === 'reissue_payout') {
+          Object.assign(withdrawal, {
+            paymentReference: reference || null,
+            processedAt: now,
+            paidBy: req.user.id,
+            payoutAttempts: (withdrawal.payoutAttempts || 1) + 1
+          });
+        }
+        if (status === 'confirmed') {
+          withdrawal.confirmed = true;
+          withdrawal.confirmedAt = now;
+          withdrawal.userNote = 'Confirmed by admin after dispute';
+          await settleWithdrawal(tx, withdrawal);
+        }
+        if (status === 'rejected') {
+          withdrawal.rejectionReason = note;
+          withdrawal.rejectedBy = req.user.id;
+        }
+        await tx.withdrawals.update(withdrawal.id, withdrawal);
+
+        Object.assign(dispute, {
+          status: 'resolved',
+          resolution: action === 'close' ? `closed_${outcome}` : action,
+          resolutionNote: note || null,
+          resolvedBy: req.user.id,
+          resolvedAt: now
+        });
+        await tx.disputes.update(dispute.id, dispute);
+        return { dispute, withdrawal };
+      }
+    );
+
+    if (result.error) {
+      discardReceipt(receipt);
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { dispute, withdrawal } = result;
+    auditTrail.describe(req, {
+      before: { status: 'open', withdrawalStatus: 'disputed' },
+      after: { status: dispute.status, withdrawalStatus: withdrawal.status },
+      details: { resolution: dispute.resolution, withdrawalId: withdrawal.id, reference: reference || null }
+    });
+
+    const messages = {
+      paid: `We've looked into your withdrawal of ₦${withdrawal.amount.toLocaleString()}. Please check the receipt and confirm once it arrives.`,
+      confirmed: `Your withdrawal dispute was closed as paid: ${note}. A new savings cycle has started.`,
+      rejected: `Your withdrawal dispute was closed: ${note}. Your savings have not been paid out.`
+    };
+    sendNotificationToUser(withdrawal.userId, {
+      title: '🔎 Withdrawal Dispute Resolved',
+      message: messages[withdrawal.status],
+      type: 'withdrawal',
+      withdrawalId: withdrawal.id
+    });
+
+    io.to(`user_${withdrawal.userId}`).emit(
+      withdrawal.status === 'paid' ? 'withdrawalCreated' : 'withdrawalUpdated',
+      withReceiptUrls(withdrawal)
+    );
+    io.to(adminRoom('withdrawals.view')).emit('withdrawalUpdated', withdrawal);
+
+    res.json({
+      message: 'Dispute resolved',
+      dispute: withDisputeUrls(dispute),
+      withdrawal
+    });
+  } catch (error) {
+    console.error('Dispute resolve error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/admin/payments', requirePermission('payments.view'), async (req, res) => {
+  try {
+    const { status, userId, method } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const criteria = { type: 'payment' };
+    if (status) criteria.status = status;
+    if (userId) criteria.userId = userId;
+
+    const [allPayments, users] = await Promise.all([
+      storage.transactions.findBy(criteria),
+      storage.users.list()
+    ]);
+
+    // Payments from before online checkout are all manual
+    const payments = method ?
+      allPayments.filter(payment => (payment.method || 'manual') === method) :
+      allPayments;
+    const sorted = payments.sort((a, b) => new Date(b.date) - new Date(a.date));
+    const enrichedPayments = sorted.slice((page - 1) * limit, page * limit).map(payment => {
+      const user = users.find(u => u.id === payment.userId);
+      return {
+        ...withReceiptUrls(payment),
+        userName: user ? `${user.firstName} ${user.lastName}` : 'Unknown User',
+        userEmail: user ? user.email : 'N/A',
+        userPhone: user ? user.phone : 'N/A'
+      };
+    });
+
+    res.json({
+      payments: enrichedPayments,
+      total: sorted.length,
+      page,
+      limit,
+      hasMore: page * limit < sorted.length
+    });
+  } catch (error) {
+    console.error('Admin payments error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Everything a payment review writes to
+const PAYMENT_REVIEW_COLLECTIONS = ['transactions', 'users', 'referralBonuses', 'ledgerEntries', 'receipts'];
+
+// Settles a pending payment as completed, or as rejected/failed with a reason.
+// The status, its effect on the enrolment, the receipt review, the ledger
+// postings and any referral bonus land together. Must run inside a
+// transaction over PAYMENT_REVIEW_COLLECTIONS.
+async function reviewPayment(tx, payment, { status, by, reason = null, plans, config }) {
+  const user = await tx.users.findById(payment.userId);
+  if (!user) return { status: 404, error: 'User not found' };
+
+  payment.status = status;
+  payment.processedAt = new Date().toISOString();
+  payment.processedBy = by;
+  if (reason) payment.rejectionReason = reason;
+  await applyPaymentReview(tx, payment, { plans, config });
+  payment.effectsAppliedAt = status === 'completed' ? payment.processedAt : null;
+  await tx.transactions.update(payment.id, payment);
+  await tx.receipts.updateWhere(receipt => receipt.transactionId === payment.id, {
+    status: status === 'completed' ? 'approved' : 'rejected',
+    reviewedBy: by,
+    reviewedAt: payment.processedAt
+  });
+
+  if (status !== 'completed') return { payment };
+
+  // The plan's savings progress follows from the contribution's postings
+  const enrollment = findEnrollment(user, payment.enrollmentId);
+  if (enrollment) {
+    await postLedgerEntry(tx, contributionJournal(payment, enrollment, by));
+  }
+
+  const referrer = user.referredBy ? await tx.users.findById(user.referredBy) : null;
+  if (referrer) {
+    const policy = getReferralBonusPolicy(config);
+    const amount = await calculateReferralBonus(tx, payment, policy);
+
+    if (amount > 0) {
+      const bonus = {
+        id: generateId('bonus'),
+        referrerId: referrer.id,
+        refereeId: user.id,
+        paymentId: payment.id,
+        amount,
+        policyType: policy.type,
+        status: 'earned',
+        createdAt: new Date().toISOString()
+      };
+      await tx.referralBonuses.insert(bonus);
+      await postLedgerEntry(tx, referralBonusJournal(
+        'referral_bonus', bonus, by, `Referral bonus from ${getReferrerDisplayName(user)}'s payment`
+      ));
+      return { payment, bonus, referee: user };
+    }
+  }
+
+  return { payment };
+}
+
+// Tells the member (and any referrer) how a reviewed payment went
+function announcePaymentReview({ payment, bonus, referee }) {
+  const userId = payment.userId;
+
+  if (bonus) {
+    sendNotificationToUser(bonus.referrerId, {
+      title: '🎁 Referral Bonus Earned',
+      message: `You earned a ₦${bonus.amount.toLocaleString()} bonus from ${getReferrerDisplayName(referee)}'s payment`,
+      type: 'referral'
+    });
+  }
+
+  if (payment.status === 'completed') {
+    sendNotificationToUser(userId, {
+      title: '✅ Payment Approved',
+      message: `Your payment of ₦${payment.amount.toLocaleString()} has been approved`,
+      type: 'payment'
+    });
+
+    io.to(`user_${userId}`).emit('paymentApproved', payment);
+  } else if (payment.status === 'failed') {
+    sendNotificationToUser(userId, {
+      title: '❌ Payment Failed',
+      message: `Your online payment of ₦${payment.amount.toLocaleString()} did not go through: ${payment.rejectionReason}. You can try again or upload a receipt.`,
+      type: 'payment'
+    });
+
+    io.to(`user_${userId}`).emit('paymentRejected', payment);
+  } else {
+    sendNotificationToUser(userId, {
+      title: '❌ Payment Rejected',
+      message: `Your payment receipt was rejected: ${payment.rejectionReason}. You can upload a new receipt for the same payment.`,
+      type: 'payment'
+    });
+
+    io.to(`user_${userId}`).emit('paymentRejected', payment);
+  }
+}
+
+// Approve/Reject payments
+app.put('/api/admin/payments/:paymentId', authenticateAdmin, async (req, res) => {
+  try {
+    const paymentId = req.params.paymentId;
+    const { action, reason } = req.body;
+    
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ error: 'Invalid action' });
+    }
+    if (action === 'reject' && !reason) {
+      return res.status(400).json({ error: 'A reason is required to reject a payment' });
+    }
+
+    auditTrail.describe(req, { action: `payment.${action}`, targetType: 'transaction', targetId: paymentId });
+
+    const permission = action === 'approve' ? 'payments.approve' : 'payments.reject';
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: 'Permission denied', missingPermissions: [permission] });
+    }
+
+    const [config, plans] = await Promise.all([storage.config.get(), getSavingsPlans()]);
+
+    // A payment that was already processed can't be counted twice
+    const result = await storage.transaction(PAYMENT_REVIEW_COLLECTIONS, async tx => {
+      const payment = await tx.transactions.findById(paymentId);
+      if (!payment) return { status: 404, error: 'Payment not found' };
+      if (payment.status !== 'pending') {
+        return { status: 409, error: `Payment has already been ${payment.status === 'completed' ? 'approved' : payment.status}` };
+      }
+      // Online payments are settled by the provider's webhook
+      if (payment.method === 'gateway') {
+        return { status: 409, error: 'Online payments are confirmed by the payment provider' };
+      }
+
+      return reviewPayment(tx, payment, {
+        status: action === 'approve' ? 'completed' : 'rejected',
+        by: req.user.id,
+        reason: action === 'reject' ? reason : null,
+        plans,
+        config
+      });
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { payment, bonus } = result;
+
+    auditTrail.describe(req, {
+      before: { status: 'pending' },
+      after: { status: payment.status },
+      details: {
+        userId: payment.userId,
+        amount: payment.amount,
+        bonusId: bonus ? bonus.id : null,
+        reason: payment.rejectionReason || null
+      }
+    });
+
+    announcePaymentReview(result);
+
+    res.json({
+      message: `Payment ${action === 'approve' ? 'approved' : 'rejected'}`,
+      transaction: payment
+    });
+  } catch (error) {
+    console.error('Payment action error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Send reminder to user
+app.post('/api/admin/users/:id/remind', requirePermission('users.remind'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { message } = req.body;
+    
+    const user = await storage.users.findById(userId);
+    
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    auditTrail.describe(req, {
+      action: 'user.remind',
+      targetType: 'user',
+      targetId: userId,
+      details: { message: message || null }
+    });
+    
+    sendNotificationToUser(userId, {
+      id: generateId('notif'),
+      title: '🔔 Admin Reminder',
+      message: message || 'This is a reminder from admin',
+      type: 'reminder',
+      isRead: false,
+      createdAt: new Date().toISOString()
+    });
+    
+    res.json({
+      message: 'Reminder sent successfully'
+    });
+  } catch (error) {
+    console.error('Reminder error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Waive all or part of the penalty on a user's current instalment
+app.post('/api/admin/users/:id/penalty-waivers', requirePermission('penalties.waive'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { amount, reason, enrollmentId } = req.body || {};
+    
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to waive a penalty' });
+    }
+    if (amount !== undefined && !(Number.isFinite(amount) && amount > 0)) {
+      return res.status(400).json({ error: 'Waiver amount must be a positive number' });
+    }
+
+    const [config, plans] = await Promise.all([storage.config.get(), getSavingsPlans()]);
+
+    const result = await storage.transaction(['users'], async tx => {
+      const user = await tx.users.findById(userId);
+      if (!user) return { status: 404, error: 'User not found' };
+
+      const resolved = resolveEnrollment(user, plans, enrollmentId);
+      if (!resolved) return { status: 404, error: 'Enrollment not found' };
+
+      const { enrollment, plan } = resolved;
+      const penalty = enrollment.lastPaymentDate ?
+        calculateNextPayment(enrollment, plan, config) :
+        null;
+      if (!penalty || penalty.penaltyAmount <= 0) {
+        return { status: 409, error: 'User has no outstanding penalty' };
+      }
+
+      const waiver = {
+        id: generateId('waiver'),
+        dueDate: penalty.nextPaymentDate,
+        amount: Math.min(amount || penalty.penaltyAmount, penalty.penaltyAmount),
+        reason,
+        waivedBy: req.user.id,
+        waivedAt: new Date().toISOString()
+      };
+      const penaltyWaivers = [...(enrollment.penaltyWaivers || []), waiver];
+      const updated = calculateNextPayment({ ...enrollment, penaltyWaivers }, plan, config);
+
+      updateEnrollment(user, enrollment.id, { penaltyWaivers, overdueAmount: updated.penaltyAmount });
+      user.updatedAt = waiver.waivedAt;
+      await tx.users.update(user.id, user);
+      return { waiver, enrollment, previousPenalty: penalty.penaltyAmount, penalty: updated };
+    });
+
+    auditTrail.describe(req, { action: 'penalty.waive', targetType: 'user', targetId: userId });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    auditTrail.describe(req, {
+      before: { penaltyAmount: result.previousPenalty },
+      after: { penaltyAmount: result.penalty.penaltyAmount },
+      details: { enrollmentId: result.enrollment.id, waiver: result.waiver }
+    });
+
+    sendNotificationToUser(userId, {
+      title: '🎉 Penalty Waived',
+      message: `₦${result.waiver.amount.toLocaleString()} of your late payment penalty has been waived`,
+      type: 'payment'
+    });
+
+    res.json({
+      message: 'Penalty waived',
+      waiver: result.waiver,
+      penaltyBreakdown: result.penalty.penaltyBreakdown,
+      amountDue: result.penalty.totalAmount
+    });
+  } catch (error) {
+    console.error('Penalty waiver error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Verify user account
+app.put('/api/admin/users/:id/verify', requirePermission('users.verify'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    let before = null;
+    
+    // Verifying a member also verifies the payout details they have now
+    const user = await storage.users.update(userId, user => {
+      before = {
+        isVerified: Boolean(user.isVerified),
+        bankDetailsPendingVerification: Boolean(user.bankDetailsPendingVerification)
+      };
+      user.isVerified = true;
+      user.bankDetailsPendingVerification = false;
+      user.bankDetailsVerifiedAt = new Date().toISOString();
+      user.updatedAt = new Date().toISOString();
+    });
+    
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    auditTrail.describe(req, {
+      action: 'user.verify',
+      targetType: 'user',
+      targetId: userId,
+      before,
+      after: { isVerified: true, bankDetailsPendingVerification: false },
+      details: { bankCode: user.bankCode || null, bankName: user.bankName, accountNumber: user.accountNumber }
+    });
+    
+    sendNotificationToUser(userId, {
+      id: generateId('notif'),
+      title: '✅ Account Verified',
+      message: 'Your account has been verified by admin',
+      type: 'verification',
+      isRead: false,
+      createdAt: new Date().toISOString()
+    });
+    
+    res.json({
+      message: 'User verified successfully'
+    });
+  } catch (error) {
+    console.error('Verification error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============ ADMIN SAVINGS PLAN ROUTES ============
+const EDITABLE_PLAN_FIELDS = ['name', 'description', 'amount', 'frequency', 'contributions', 'withdrawalRules'];
+
+app.get('/api/admin/savings-plans', requirePermission('plans.manage'), async (req, res) => {
+  try {
+    const [plans, users] = await Promise.all([getSavingsPlans(), storage.users.list()]);
+    const enrollments = users.flatMap(user => getActiveEnrollments(user));
+
+    res.json({
+      plans: plans.map(plan => ({
+        ...plan,
+        activeEnrollments: enrollments.filter(enrollment => enrollment.planId === plan.id).length
+      }))
+    });
+  } catch (error) {
+    console.error('Admin savings plans error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/admin/savings-plans', requirePermission('plans.manage'), async (req, res) => {
+  try {
+    const input = req.body || {};
+    const validationError = validatePlan(input);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const now = new Date().toISOString();
+    const plan = {
+      id: generateId('plan'),
+      name: input.name.trim(),
+      description: input.description || '',
+      amount: input.amount,
+      frequency: input.frequency,
+      contributions: input.contributions,
+      withdrawalRules: {
+        minContributions: input.contributions,
+        ...(input.withdrawalRules || {})
+      },
+      isDefault: false,
+      status: 'active',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await storage.savingsPlans.insert(plan);
+    auditTrail.describe(req, { action: 'plan.create', targetType: 'plan', targetId: plan.id, after: plan });
+
+    res.status(201).json({
+      message: 'Savings plan created',
+      plan
+    });
+  } catch (error) {
+    console.error('Create savings plan error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Changes apply to every enrolment from its next instalment onwards
+app.put('/api/admin/savings-plans/:id', requirePermission('plans.manage'), async (req, res) => {
+  try {
+    const updates = req.body || {};
+    const unknownFields = Object.keys(updates).filter(key => !EDITABLE_PLAN_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({ error: `Cannot edit plan field(s): ${unknownFields.join(', ')}` });
+    }
+
+    const validationError = validatePlan(updates, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await storage.transaction(['savingsPlans'], async tx => {
+      const existing = await tx.savingsPlans.findById(req.params.id);
+      if (!existing) return { status: 404, error: 'Savings plan not found' };
+
+      const plan = { ...existing, ...updates, updatedAt: new Date().toISOString() };
+      const mergedError = validatePlan(plan);
+      if (mergedError) return { status: 400, error: mergedError };
+
+      await tx.savingsPlans.update(plan.id, plan);
+      return { plan, before: Object.fromEntries(Object.keys(updates).map(key => [key, existing[key]])) };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { plan, before } = result;
+    auditTrail.describe(req, { action: 'plan.update', targetType: 'plan', targetId: plan.id, before, after: updates });
+
+    res.json({
+      message: 'Savings plan updated',
+      plan
+    });
+  } catch (error) {
+    console.error('Update savings plan error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Archived plans take no new enrolments; existing members carry on
+app.delete('/api/admin/savings-plans/:id', requirePermission('plans.manage'), async (req, res) => {
+  try {
+    const existing = await storage.savingsPlans.findById(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Savings plan not found' });
+    if (existing.isDefault) {
+      return res.status(400).json({ error: 'The default plan cannot be archived' });
+    }
+
+    const plan = await storage.savingsPlans.update(existing.id, {
+      status: 'archived',
+      archivedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    auditTrail.describe(req, {
+      action: 'plan.archive',
+      targetType: 'plan',
+      targetId: plan.id,
+      before: { status: existing.status },
+      after: { status: plan.status }
+    });
+
+    res.json({
+      message: 'Savings plan archived',
+      plan
+    });
+  } catch (error) {
+    console.error('Archive savings plan error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+// ============ END ADMIN SAVINGS PLAN ROUTES ============
+
+// ============ ADMIN RECEIPT ROUTES ============
+app.get('/api/admin/receipts', requirePermission('payments.view'), async (req, res) => {
+  try {
+    const { userId, status, purpose, duplicates } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const criteria = {};
+    if (userId) criteria.userId = userId;
+    if (status) criteria.status = status;
+    if (purpose) criteria.purpose = purpose;
+
+    const receipts = (await storage.receipts.findBy(criteria))
+      .filter(receipt => duplicates !== 'true' || receipt.duplicateOf.length > 0)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({
+      receipts: receipts.slice((page - 1) * limit, page * limit),
+      total: receipts.length,
+      page,
+      limit,
+      hasMore: page * limit < receipts.length,
+      thumbnailsEnabled
+    });
+  } catch (error) {
+    console.error('Admin receipts error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/admin/receipts/:id', requirePermission('payments.view'), async (req, res) => {
+  try {
+    const receipt = await storage.receipts.findById(req.params.id);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    const duplicates = await Promise.all(receipt.duplicateOf.map(id => storage.receipts.findById(id)));
+    res.json({
+      receipt: {
+        ...receipt,
+        url: signReceiptUrl(receipt.id),
+        thumbnailUrl: receipt.thumbnail ? signReceiptUrl(receipt.id, 'thumbnail') : null
+      },
+      duplicates: duplicates.filter(Boolean)
+    });
+  } catch (error) {
+    console.error('Admin receipt error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+// ============ END ADMIN RECEIPT ROUTES ============
+
+// ============ ADMIN REFERRAL BONUS ROUTES ============
+app.get('/api/admin/referral-bonuses', requirePermission('referrals.view'), async (req, res) => {
+  try {
+    const { status, referrerId, paymentId } = req.query;
+    const criteria = {};
+    if (status) criteria.status = status;
+    if (referrerId) criteria.referrerId = referrerId;
+    if (paymentId) criteria.paymentId = paymentId;
+
+    const [bonuses, users] = await Promise.all([
+      storage.referralBonuses.findBy(criteria),
+      storage.users.list()
+    ]);
+    const nameOf = id => {
+      const user = users.find(u => u.id === id);
+      return user ? `${user.firstName} ${user.lastName}` : 'Unknown User';
+    };
+
+    res.json({
+      bonuses: bonuses
+        .map(bonus => ({
+          ...bonus,
+          referrerName: nameOf(bonus.referrerId),
+          refereeName: nameOf(bonus.refereeId)
+        }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+      summary: summarizeReferralBonuses(bonuses)
+    });
+  } catch (error) {
+    console.error('Admin referral bonuses error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Records that an earned bonus was paid to the referrer
+app.post('/api/admin/referral-bonuses/:id/pay', requirePermission('referrals.manage'), async (req, res) => {
+  try {
+    const { reference } = req.body || {};
+
+    const result = await storage.transaction(['referralBonuses', 'transactions', 'users', 'ledgerEntries'], async tx => {
+      const bonus = await tx.referralBonuses.findById(req.params.id);
+      if (!bonus) return { status: 404, error: 'Referral bonus not found' };
+      if (bonus.status !== 'earned') {
+        return { status: 409, error: `Referral bonus is already ${bonus.status.replace('_', ' ')}` };
+      }
+
+      const payout = {
+        id: generateId('txn'),
+        userId: bonus.referrerId,
+        type: 'referral_bonus',
+        amount: bonus.amount,
+        date: new Date().toISOString(),
+        status: 'completed',
+        bonusId: bonus.id,
+        reference: reference || null,
+        description: 'Referral bonus payout'
+      };
+      await tx.transactions.insert(payout);
+
+      const updated = await tx.referralBonuses.update(bonus.id, {
+        status: 'paid',
+        paidAt: payout.date,
+        paidBy: req.user.id,
+        payoutTransactionId: payout.id
+      });
+      await postLedgerEntry(tx, referralBonusJournal('bonus_payout', bonus, req.user.id, 'Referral bonus payout'));
+      return { bonus: updated };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    auditTrail.describe(req, {
+      action: 'referral_bonus.pay',
+      targetType: 'referral_bonus',
+      targetId: result.bonus.id,
+      before: { status: 'earned' },
+      after: { status: result.bonus.status },
+      details: { amount: result.bonus.amount, reference: reference || null }
+    });
+
+    sendNotificationToUser(result.bonus.referrerId, {
+      id: generateId('notif'),
+      title: '💸 Referral Bonus Paid',
+      message: `Your referral bonus of ₦${result.bonus.amount.toLocaleString()} has been paid`,
+      type: 'referral',
+      isRead: false,
+      createdAt: new Date().toISOString()
+    });
+
+    res.json({
+      message: 'Referral bonus paid',
+      bonus: result.bonus
+    });
+  } catch (error) {
+    console.error('Referral bonus payout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cancels a bonus whose payment was reversed. A bonus that was already paid
+// out is offset with a negative ledger entry so the referrer's history balances.
+app.post('/api/admin/referral-bonuses/:id/clawback', requirePermission('referrals.manage'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to claw back a bonus' });
+    }
+
+    const result = await storage.transaction(['referralBonuses', 'transactions', 'users', 'ledgerEntries'], async tx => {
+      const bonus = await tx.referralBonuses.findById(req.params.id);
+      if (!bonus) return { status: 404, error: 'Referral bonus not found' };
+      if (bonus.status === 'clawed_back') {
+        return { status: 409, error: 'Referral bonus is already clawed back' };
+      }
+
+      const now = new Date().toISOString();
+      let clawbackTransactionId = null;
+
+      if (bonus.status === 'paid') {
+        clawbackTransactionId = generateId('txn');
+        await tx.transactions.insert({
+          id: clawbackTransactionId,
+          userId: bonus.referrerId,
+          type: 'referral_bonus',
+          amount: -bonus.amount,
+          date: now,
+          status: 'completed',
+          bonusId: bonus.id,
+          description: `Referral bonus clawed back: ${reason}`
+        });
+      }
+
+      const updated = await tx.referralBonuses.update(bonus.id, {
+        status: 'clawed_back',
+        statusBeforeClawback: bonus.status,
+        clawedBackAt: now,
+        clawedBackBy: req.user.id,
+        clawbackReason: reason,
+        clawbackTransactionId
+      });
+      await postLedgerEntry(tx, referralBonusJournal(
+        'bonus_clawback', bonus, req.user.id, `Referral bonus clawed back: ${reason}`
+      ));
+      return { bonus: updated };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    auditTrail.describe(req, {
+      action: 'referral_bonus.clawback',
+      targetType: 'referral_bonus',
+      targetId: result.bonus.id,
+      before: { status: result.bonus.statusBeforeClawback },
+      after: { status: result.bonus.status },
+      details: { amount: result.bonus.amount, reason }
+    });
+
+    sendNotificationToUser(result.bonus.referrerId, {
+      id: generateId('notif'),
+      title: '↩️ Referral Bonus Reversed',
+      message: `Your referral bonus of ₦${result.bonus.amount.toLocaleString()} was reversed: ${reason}`,
+      type: 'referral',
+      isRead: false,
+      createdAt: new Date().toISOString()
+    });
+
+    res.json({
+      message: 'Referral bonus clawed back',
+      bonus: result.bonus
+    });
+  } catch (error) {
+    console.error('Referral bonus clawback error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+// ============ END ADMIN REFERRAL BONUS ROUTES ============
+
+// ============ ADMIN LEDGER ROUTES ============
+app.get('/api/admin/ledger', requirePermission('ledger.view'), async (req, res) => {
+  try {
+    const { userId, type, account } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const criteria = {};
+    if (userId) criteria.userId = userId;
+    if (type) criteria.type = type;
+
+    const entries = (await storage.ledgerEntries.findBy(criteria))
+      .filter(entry => !account || entry.lines.some(line => line.account === account))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({
+      entries: entries.slice((page - 1) * limit, page * limit),
+      total: entries.length,
+      page,
+      limit,
+      hasMore: page * limit < entries.length
+    });
+  } catch (error) {
+    console.error('Admin ledger error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Compares every member's stored balance and cycle totals with what the
+// ledger says they should be. Nothing is corrected here, only reported.
+app.get('/api/admin/ledger/reconcile', requirePermission('ledger.view'), async (req, res) => {
+  try {
+    const [users, entries] = await Promise.all([
+      storage.users.filter(user => !isAdminUser(user)),
+      storage.ledgerEntries.list()
+    ]);
+
+    const entriesByUser = new Map();
+    entries.forEach(entry => {
+      if (!entry.userId) return;
+      if (!entriesByUser.has(entry.userId)) entriesByUser.set(entry.userId, []);
+      entriesByUser.get(entry.userId).push(entry);
+    });
+
+    const drift = [];
+    const compare = (user, enrollmentId, field, stored, ledger) => {
+      const storedAmount = stored || 0;
+      if (storedAmount !== ledger) {
+        drift.push({
+          userId: user.id,
+          name: `${user.firstName} ${user.lastName}`,
+          enrollmentId,
+          field,
+          stored: storedAmount,
+          ledger,
+          difference: Math.round((storedAmount - ledger) * 100) / 100
+        });
+      }
+    };
+
+    users.forEach(user => {
+      const derived = deriveMemberState(user, entriesByUser.get(user.id) || []);
+      compare(user, null, 'balance', user.balance, derived.balance);
+      derived.enrollments.forEach(totals => {
+        const enrollment = findEnrollment(user, totals.id);
+        compare(user, totals.id, 'totalSavedCurrentCycle',
+          enrollment.totalSavedCurrentCycle, totals.totalSavedCurrentCycle);
+        compare(user, totals.id, 'contributionsCompletedCurrentCycle',
+          enrollment.contributionsCompletedCurrentCycle, totals.contributionsCompletedCurrentCycle);
+      });
+    });
+
+    const unbalancedEntries = entries
+      .filter(entry => !trialBalance([entry]).balanced)
+      .map(entry => entry.id);
+
+    res.json({
+      checkedAt: new Date().toISOString(),
+      usersChecked: users.length,
+      entriesChecked: entries.length,
+      inBalance: drift.length === 0 && unbalancedEntries.length === 0,
+      trialBalance: trialBalance(entries),
+      unbalancedEntries,
+      drift
+    });
+  } catch (error) {
+    console.error('Ledger reconcile error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Same statement a member downloads, for any member
+app.get('/api/admin/users/:id/statement', requirePermission('users.view'), async (req, res) => {
+  try {
+    await sendStatement(req, res, req.params.id);
+  } catch (error) {
+    console.error('Admin statement error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+// ============ END ADMIN LEDGER ROUTES ============
+
+// ============ ADMIN AUDIT ROUTES ============
+const AUDIT_FILTERS = ['actorId', 'action', 'targetType', 'targetId', 'outcome', 'from', 'to', 'q'];
+
+function auditFilters(query) {
+  const filters = {};
+  AUDIT_FILTERS.forEach(key => {
+    if (query[key]) filters[key] = String(query[key]);
+  });
+  return filters;
+}
+
+function invalidAuditDates(filters) {
+  return ['from', 'to'].some(key => filters[key] && isNaN(new Date(filters[key])));
+}
+
+app.get('/api/admin/audit-logs', requirePermission('audit.view'), async (req, res) => {
+  try {
+    const filters = auditFilters(req.query);
+    if (invalidAuditDates(filters)) {
+      return res.status(400).json({ error: 'Invalid date filter' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const entries = await auditTrail.search(filters);
+
+    res.json({
+      entries: entries.slice((page - 1) * limit, page * limit),
+      total: entries.length,
+      page,
+      limit,
+      hasMore: page * limit < entries.length
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Same filters as the list, as a CSV (default) or JSON download
+app.get('/api/admin/audit-logs/export', requirePermission('audit.view'), async (req, res) => {
+  try {
+    const filters = auditFilters(req.query);
+    if (invalidAuditDates(filters)) {
+      return res.status(400).json({ error: 'Invalid date filter' });
+    }
+
+    const entries = await auditTrail.search(filters);
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (req.query.format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.json"`);
+      return res.json({ exportedAt: new Date().toISOString(), filters, entries });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.csv"`);
+    res.send(auditTrail.toCsv(entries));
+  } catch (error) {
+    console.error('Audit export error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+// ============ END ADMIN AUDIT ROUTES ============
+
+// ============ ADMIN NOTIFICATION DELIVERY ROUTES ============
+// The email/SMS delivery log. Filters: userId, notificationId, channel, status.
+app.get('/api/admin/notification-deliveries', requirePermission('notifications.view'), async (req, res) => {
+  try {
+    const criteria = {};
+    ['userId', 'notificationId', 'channel', 'status'].forEach(key => {
+      if (req.query[key]) criteria[key] = String(req.query[key]);
+    });
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const deliveries = (await storage.notificationDeliveries.findBy(criteria))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({
+      deliveries: deliveries.slice((page - 1) * limit, page * limit),
+      total: deliveries.length,
+      channels: notificationDispatcher.channels,
+      page,
+      limit,
+      hasMore: page * limit < deliveries.length
+    });
+  } catch (error) {
+    console.error('Notification deliveries error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+// ============ END ADMIN NOTIFICATION DELIVERY ROUTES ============
+
+// ============ ADMIN ROLE ROUTES ============
+app.get('/api/admin/roles', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const admins = await storage.users.findBy({ isAdmin: true });
+
+    const roles = Object.entries(ADMIN_ROLES).map(([key, role]) => ({
+      key,
+      name: role.name,
+      permissions: role.permissions,
+      holders: admins
+        .filter(user => getAdminRoles(user).includes(key))
+        .map(user => ({
+          id: user.id,
+          name: `${user.firstName} ${user.lastName}`,
+          email: user.email
+        }))
+    }));
+
+    res.json({ permissions: ADMIN_PERMISSIONS, roles });
+  } catch (error) {
+    console.error('Admin roles error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/admin/me', authenticateAdmin, async (req, res) => {
+  const roles = getAdminRoles(req.user);
+  res.json({
+    id: req.user.id,
+    name: `${req.user.firstName} ${req.user.lastName}`,
+    email: req.user.email,
+    roles,
+    permissions: ADMIN_PERMISSIONS.filter(permission => hasPermission(req.user, permission))
+  });
+});
+
+// Replace a user's admin roles. An empty list removes admin access entirely.
+app.put('/api/admin/users/:id/roles', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { roles } = req.body;
+
+    if (!Array.isArray(roles)) {
+      return res.status(400).json({ error: 'Roles must be an array' });
     }
 
-    let receiptFilename = null;
-    if (receiptImage) {
-      receiptFilename = await saveBase64Image(receiptImage, userId);
+    const unknownRoles = roles.filter(role => !ADMIN_ROLES[role]);
+    if (unknownRoles.length > 0) {
+      return res.status(400).json({ error: `Unknown role(s): ${unknownRoles.join(', ')}` });
     }
 
-    const withdrawalAmount = user.totalSavedCurrentCycle || 0;
+    const user = await storage.users.findById(userId);
 
-    const newWithdrawal = {
-      id: `with_${Date.now()}`,
-      userId,
-      amount: withdrawalAmount,
-      status: 'pending', // User needs to confirm this
-      receiptImage: receiptFilename,
-      adminMessage: message || 'Withdrawal processed by admin',
-      date: new Date().toISOString(),
-      processedAt: new Date().toISOString(),
-      confirmed: false,
-      userDetails: {
-        name: `${user.firstName} ${user.lastName}`,
-        email: user.email,
-        phone: user.phone,
-        accountNumber: user.accountNumber,
-        accountName: user.accountName,
-        bankName: user.bankName
-      }
-    };
+    if (!user) return res.status(404).json({ error: 'User not found' });
 
-    withdrawals.push(newWithdrawal);
-    await writeJsonFile('withdrawals.json', withdrawals);
+    const uniqueRoles = [...new Set(roles)];
+    const admins = await storage.users.findBy({ isAdmin: true });
+    const remainingSuperAdmins = admins.filter(u =>
+      u.id !== userId && getAdminRoles(u).includes('super_admin')
+    );
+    if (!uniqueRoles.includes('super_admin') && remainingSuperAdmins.length === 0) {
+      return res.status(400).json({ error: 'At least one super admin must remain' });
+    }
 
-    sendNotificationToUser(userId, {
-      id: `notif_${Date.now()}`,
-      title: '💸 Withdrawal Processed',
-      message: `Your withdrawal of ₦${withdrawalAmount.toLocaleString()} has been processed. Please confirm receipt to start new savings cycle.`,
-      type: 'withdrawal',
-      isRead: false,
-      createdAt: new Date().toISOString(),
-      withdrawalId: newWithdrawal.id
+    const updatedUser = await storage.users.update(userId, {
+      isAdmin: uniqueRoles.length > 0,
+      adminRoles: uniqueRoles,
+      updatedAt: new Date().toISOString()
+    });
+    auditTrail.describe(req, {
+      action: 'user.roles_update',
+      targetType: 'user',
+      targetId: userId,
+      before: { isAdmin: Boolean(user.isAdmin), adminRoles: getAdminRoles(user) },
+      after: { isAdmin: updatedUser.isAdmin, adminRoles: uniqueRoles }
     });
 
-    sendNotificationToAdmin({
-      id: `notif_${Date.now()}`,
-      title: '💸 Withdrawal Processed',
-      message: `Withdrawal of ₦${withdrawalAmount.toLocaleString()} processed for ${user.firstName} ${user.lastName}`,
-      type: 'withdrawal',
+    sendNotificationToUser(userId, {
+      id: generateId('notif'),
+      title: '🛡️ Admin Roles Updated',
+      message: uniqueRoles.length > 0 ?
+        `Your admin roles are now: ${uniqueRoles.map(role => ADMIN_ROLES[role].name).join(', ')}` :
+        'Your admin access has been removed',
+      type: 'security',
       isRead: false,
-      createdAt: new Date().toISOString(),
-      userId: userId
+      createdAt: new Date().toISOString()
     });
 
-    io.to('admin').emit('withdrawalProcessed', newWithdrawal);
-    io.to(`user_${userId}`).emit('withdrawalCreated', newWithdrawal);
-
-    res.status(201).json({
-      message: 'Withdrawal processed successfully',
-      withdrawal: newWithdrawal
+    res.json({
+      message: 'Roles updated successfully',
+      user: {
+        id: updatedUser.id,
+        isAdmin: updatedUser.isAdmin,
+        adminRoles: uniqueRoles
+      }
     });
   } catch (error) {
-    console.error('Admin withdrawal error:', error);
+    console.error('Role assignment error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
+// ============ END ADMIN ROLE ROUTES ============
 
-// GET ELIGIBLE USERS FOR WITHDRAWAL
-app.get('/api/admin/withdrawals/eligible', async (req, res) => {
+// ============ ADMIN JOB ROUTES ============
+app.get('/api/admin/jobs', requirePermission('jobs.view'), async (req, res) => {
   try {
-    const [users, withdrawals] = await Promise.all([
-      readJsonFile('users.json'),
-      readJsonFile('withdrawals.json')
-    ]);
-    
-    const eligibleUsers = users.filter(user => 
-      user.monthsCompletedCurrentCycle >= 6
-    ).map(user => {
-      const userWithdrawals = withdrawals.filter(w => w.userId === user.id);
-      const hasPendingWithdrawals = userWithdrawals.some(w => w.status === 'pending');
-      
-      return {
-        id: user.id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        phone: user.phone,
-        accountNumber: user.accountNumber,
-        accountName: user.accountName,
-        bankName: user.bankName,
-        monthsCompleted: user.monthsCompletedCurrentCycle || 0,
-        totalSaved: user.totalSavedCurrentCycle || 0,
-        isEligible: true,
-        hasPendingWithdrawals: hasPendingWithdrawals,
-        withdrawals: userWithdrawals,
-        hasReceipts: userWithdrawals.some(w => w.receiptImage),
-        confirmedWithdrawals: userWithdrawals.filter(w => w.confirmed).length,
-        lastWithdrawal: userWithdrawals.sort((a, b) => new Date(b.date) - new Date(a.date))[0]
-      };
-    });
-    
-    res.json(eligibleUsers);
+    res.json({ jobs: await scheduler.list() });
   } catch (error) {
-    console.error('Eligible users error:', error);
+    console.error('Admin jobs error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// GET all withdrawals
-app.get('/api/admin/withdrawals', async (req, res) => {
+app.get('/api/admin/jobs/runs', requirePermission('jobs.view'), async (req, res) => {
   try {
-    const withdrawals = await readJsonFile('withdrawals.json');
-    const users = await readJsonFile('users.json');
-    
-    const enrichedWithdrawals = withdrawals.map(withdrawal => {
-      const user = users.find(u => u.id === withdrawal.userId);
-      return {
-        ...withdrawal,
-        userName: user ? `${user.firstName} ${user.lastName}` : 'Unknown User',
-        userEmail: user ? user.email : 'N/A',
-        userPhone: user ? user.phone : 'N/A'
-      };
-    }).sort((a, b) => new Date(b.date) - new Date(a.date));
-    
-    res.json(enrichedWithdrawals);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const runs = (await storage.jobRuns.findBy(req.query.job ? { job: req.query.job } : {}))
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+    const startIndex = (page - 1) * limit;
+
+    res.json({
+      runs: runs.slice(startIndex, startIndex + limit),
+      total: runs.length,
+      page,
+      limit,
+      hasMore: startIndex + limit < runs.length
+    });
   } catch (error) {
-    console.error('Admin withdrawals error:', error);
+    console.error('Admin job runs error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Approve/Reject payments
-app.put('/api/admin/payments/:paymentId', async (req, res) => {
+app.post('/api/admin/jobs/:name/run', requirePermission('jobs.run'), async (req, res) => {
   try {
-    const paymentId = req.params.paymentId;
-    const { action } = req.body;
-    
-    if (!['approve', 'reject'].includes(action)) {
-      return res.status(400).json({ error: 'Invalid action' });
+    if (!scheduler.has(req.params.name)) {
+      return res.status(404).json({ error: 'Job not found' });
     }
 
-    const [transactions, users] = await Promise.all([
-      readJsonFile('transactions.json'),
-      readJsonFile('users.json')
-    ]);
-    
-    const paymentIndex = transactions.findIndex(t => t.id === paymentId);
-    if (paymentIndex === -1) return res.status(404).json({ error: 'Payment not found' });
+    const run = await scheduler.runJob(req.params.name, { trigger: 'manual', triggeredBy: req.user.id });
+    auditTrail.describe(req, {
+      action: 'job.run',
+      targetType: 'job',
+      targetId: req.params.name,
+      details: { runId: run.id, status: run.status }
+    });
+
+    res.json({
+      message: run.status === 'completed' ? 'Job completed' : 'Job failed',
+      run
+    });
+  } catch (error) {
+    console.error('Admin job run error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+// ============ END ADMIN JOB ROUTES ============
 
-    const userId = transactions[paymentIndex].userId;
-    const userIndex = users.findIndex(u => u.id === userId);
-    if (userIndex === -1) return res.status(404).json({ error: 'User not found' });
+// ============ ADMIN CONFIG ROUTES ============
+const EDITABLE_CONFIG_KEYS = [
+  'appName',
+  'companyBankDetails',
+  'withdrawalProcessingFee',
+  'referralBonusPolicy',
+  'penaltyPolicy',
+  'paymentReminderDays',
+  'adminEmails',
+  'appSettings'
+];
 
-    if (action === 'approve') {
-      transactions[paymentIndex].status = 'completed';
-      transactions[paymentIndex].processedAt = new Date().toISOString();
-      
-      // Update user's savings progress
-      users[userIndex].totalSavedCurrentCycle = (users[userIndex].totalSavedCurrentCycle || 0) + 
-        transactions[paymentIndex].amount;
-      users[userIndex].monthsCompletedCurrentCycle = (users[userIndex].monthsCompletedCurrentCycle || 0) + 1;
-      
-      sendNotificationToUser(userId, {
-        id: `notif_${Date.now()}`,
-        title: '✅ Payment Approved',
-        message: `Your payment of ₦${transactions[paymentIndex].amount.toLocaleString()} has been approved`,
-        type: 'payment',
-        isRead: false,
-        createdAt: new Date().toISOString()
-      });
+function isNonNegativeNumber(value) {
+  return Number.isFinite(value) && value >= 0;
+}
 
-      io.to(`user_${userId}`).emit('paymentApproved', transactions[paymentIndex]);
-      
-    } else {
-      transactions[paymentIndex].status = 'rejected';
-      transactions[paymentIndex].processedAt = new Date().toISOString();
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
 
-      sendNotificationToUser(userId, {
-        id: `notif_${Date.now()}`,
-        title: '❌ Payment Rejected',
-        message: 'Your payment receipt was rejected',
-        type: 'payment',
-        isRead: false,
-        createdAt: new Date().toISOString()
-      });
+// Checks the shape of each key in a config update; returns an error message or null
+function validateConfigUpdates(updates) {
+  if ('appName' in updates && !isNonEmptyString(updates.appName)) {
+    return 'App name must be a non-empty string';
+  }
 
-      io.to(`user_${userId}`).emit('paymentRejected', transactions[paymentIndex]);
+  if ('companyBankDetails' in updates) {
+    const details = updates.companyBankDetails;
+    if (!details || typeof details !== 'object' ||
+        !['bankName', 'accountNumber', 'accountName'].every(key => isNonEmptyString(details[key]))) {
+      return 'Company bank details need a bankName, accountNumber and accountName';
     }
+  }
 
-    await Promise.all([
-      writeJsonFile('transactions.json', transactions),
-      writeJsonFile('users.json', users)
-    ]);
+  if ('withdrawalProcessingFee' in updates && !isNonNegativeNumber(updates.withdrawalProcessingFee)) {
+    return 'Withdrawal processing fee must be a non-negative number';
+  }
 
-    res.json({
-      message: `Payment ${action === 'approve' ? 'approved' : 'rejected'}`,
-      transaction: transactions[paymentIndex]
-    });
-  } catch (error) {
-    console.error('Payment action error:', error);
-    res.status(500).json({ error: 'Server error' });
+  if ('referralBonusPolicy' in updates) {
+    const policy = updates.referralBonusPolicy;
+    if (!policy || !REFERRAL_BONUS_TYPES.includes(policy.type)) {
+      return `Referral bonus type must be one of: ${REFERRAL_BONUS_TYPES.join(', ')}`;
+    }
+    if (policy.amount !== undefined && !isNonNegativeNumber(policy.amount)) {
+      return 'Referral bonus amount must be a non-negative number';
+    }
+    if (policy.percentage !== undefined && !(isNonNegativeNumber(policy.percentage) && policy.percentage <= 100)) {
+      return 'Referral bonus percentage must be between 0 and 100';
+    }
   }
-});
 
-// Send reminder to user
-app.post('/api/admin/users/:id/remind', async (req, res) => {
+  if ('penaltyPolicy' in updates) {
+    const policyError = validatePenaltyPolicy(updates.penaltyPolicy);
+    if (policyError) return policyError;
+  }
+
+  if ('paymentReminderDays' in updates &&
+      !(Number.isInteger(updates.paymentReminderDays) && updates.paymentReminderDays >= 0)) {
+    return 'Payment reminder days must be a whole number of days';
+  }
+
+  if ('adminEmails' in updates &&
+      !(Array.isArray(updates.adminEmails) && updates.adminEmails.every(isNonEmptyString))) {
+    return 'Admin emails must be a list of email addresses';
+  }
+
+  if ('appSettings' in updates) {
+    const settings = updates.appSettings;
+    if (!settings || typeof settings !== 'object') return 'App settings must be an object';
+    for (const key of ['minPasswordLength', 'maxLoginAttempts']) {
+      if (settings[key] !== undefined && !(Number.isInteger(settings[key]) && settings[key] > 0)) {
+        return `App setting ${key} must be a positive whole number`;
+      }
+    }
+  }
+
+  return null;
+}
+
+app.get('/api/admin/config', requirePermission('config.edit'), async (req, res) => {
   try {
-    const userId = req.params.id;
-    const { message } = req.body;
-    
-    const users = await readJsonFile('users.json');
-    const user = users.find(u => u.id === userId);
-    
-    if (!user) return res.status(404).json({ error: 'User not found' });
-    
-    sendNotificationToUser(userId, {
-      id: `notif_${Date.now()}`,
-      title: '🔔 Admin Reminder',
-      message: message || 'This is a reminder from admin',
-      type: 'reminder',
-      isRead: false,
-      createdAt: new Date().toISOString()
-    });
-    
-    res.json({
-      message: 'Reminder sent successfully'
-    });
+    const config = await storage.config.get();
+    res.json(config);
   } catch (error) {
-    console.error('Reminder error:', error);
+    console.error('Admin config error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Verify user account
-app.put('/api/admin/users/:id/verify', async (req, res) => {
+app.put('/api/admin/config', requirePermission('config.edit'), async (req, res) => {
   try {
-    const userId = req.params.id;
-    
-    const users = await readJsonFile('users.json');
-    const userIndex = users.findIndex(u => u.id === userId);
-    
-    if (userIndex === -1) return res.status(404).json({ error: 'User not found' });
-    
-    users[userIndex].isVerified = true;
-    users[userIndex].updatedAt = new Date().toISOString();
-    
-    await writeJsonFile('users.json', users);
-    
-    sendNotificationToUser(userId, {
-      id: `notif_${Date.now()}`,
-      title: '✅ Account Verified',
-      message: 'Your account has been verified by admin',
-      type: 'verification',
-      isRead: false,
-      createdAt: new Date().toISOString()
+    const updates = req.body || {};
+    const unknownKeys = Object.keys(updates).filter(key => !EDITABLE_CONFIG_KEYS.includes(key));
+
+    if (unknownKeys.length > 0) {
+      return res.status(400).json({ error: `Cannot edit config key(s): ${unknownKeys.join(', ')}` });
+    }
+
+    const validationError = validateConfigUpdates(updates);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    let before = null;
+    const updatedConfig = await storage.config.update(config => {
+      before = Object.fromEntries(Object.keys(updates).map(key => [key, config[key] ?? null]));
+      return { ...config, ...updates };
     });
-    
+    auditTrail.describe(req, { action: 'config.update', targetType: 'config', before, after: updates });
+
     res.json({
-      message: 'User verified successfully'
+      message: 'Config updated successfully',
+      config: updatedConfig
     });
   } catch (error) {
-    console.error('Verification error:', error);
+    console.error('Admin config update error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
+// ============ END ADMIN CONFIG ROUTES ============
 
 // ============ PAGE ROUTES ============
 app.get('/', (req, res) => {
@@ -1343,6 +5422,12 @@ app.get('/withdraw', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'user', 'withdraw.html'));
 });
 
+if (paymentGateway && paymentGateway.name === 'mock') {
+  app.get('/mock-checkout', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'user', 'mock-checkout.html'));
+  });
+}
+
 app.get('/admin', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'admin', 'admin-users.html'));
 });
@@ -1362,12 +5447,279 @@ app.use((req, res) => {
 });
 
 app.use((err, req, res, next) => {
+  // Body parser rejections (oversized or malformed bodies) are the client's fault
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      error: err.type === 'entity.too.large' ? 'Request is too large' : 'Invalid request body'
+    });
+  }
+
   console.error(err.stack);
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
 // ============ INITIALIZE SERVER ============
-initDirectories().then(() => {
+// Fields that held a member's savings progress before savings plans existed
+const LEGACY_SAVINGS_FIELDS = [
+  'savingsCycle',
+  'lastPaymentDate',
+  'cycleStartDate',
+  'nextPaymentDate',
+  'totalSavedCurrentCycle',
+  'monthsCompletedCurrentCycle',
+  'isPaymentOverdue',
+  'overdueAmount',
+  'penaltyWaivers',
+  'paymentReminders'
+];
+
+// Makes sure the default plan exists and moves members from before savings
+// plans onto it, keeping their progress and tagging their payments and
+// withdrawals with the new enrolment. Safe to run on every start.
+async function migrateLegacySavings() {
+  const config = await storage.config.get();
+  let defaultPlan = await storage.savingsPlans.findById(DEFAULT_PLAN_ID);
+  if (!defaultPlan) {
+    defaultPlan = await storage.savingsPlans.insert(buildDefaultPlan(config));
+  }
+
+  const legacyUsers = await storage.users.filter(user => !Array.isArray(user.enrollments));
+  if (legacyUsers.length === 0) return 0;
+
+  await storage.transaction(['users', 'transactions', 'withdrawals'], async tx => {
+    for (const legacy of legacyUsers) {
+      const enrollment = createEnrollment(defaultPlan, {
+        enrolledAt: legacy.createdAt || new Date().toISOString(),
+        savingsCycle: legacy.savingsCycle || 1,
+        lastPaymentDate: legacy.lastPaymentDate || null,
+        cycleStartDate: legacy.cycleStartDate || null,
+        totalSavedCurrentCycle: legacy.totalSavedCurrentCycle || 0,
+        contributionsCompletedCurrentCycle: legacy.monthsCompletedCurrentCycle || 0,
+        isPaymentOverdue: Boolean(legacy.isPaymentOverdue),
+        overdueAmount: legacy.overdueAmount || 0,
+        penaltyWaivers: legacy.penaltyWaivers || [],
+        paymentReminders: legacy.paymentReminders || null
+      });
+      const tag = { enrollmentId: enrollment.id, planId: defaultPlan.id };
+
+      await tx.users.update(legacy.id, user => {
+        LEGACY_SAVINGS_FIELDS.forEach(field => delete user[field]);
+        user.enrollments = [enrollment];
+      });
+      await tx.transactions.updateWhere(
+        t => t.userId === legacy.id && !t.enrollmentId && ['payment', 'penalty'].includes(t.type),
+        tag
+      );
+      await tx.withdrawals.updateWhere(w => w.userId === legacy.id && !w.enrollmentId, tag);
+    }
+  });
+
+  return legacyUsers.length;
+}
+
+// Adds receipts uploaded before the registry existed, hashed so new uploads
+// are checked against them too. They get no thumbnail. Safe to run on every start.
+async function registerExistingReceipts() {
+  const [transactions, withdrawals] = await Promise.all([
+    storage.transactions.filter(t => t.type === 'payment' && t.receiptImage && !t.receiptId),
+    storage.withdrawals.filter(w => w.receiptImage && !w.receiptId)
+  ]);
+  const uploads = [
+    ...transactions.map(t => ({ record: t, purpose: 'payment', link: { transactionId: t.id } })),
+    ...withdrawals.map(w => ({ record: w, purpose: 'withdrawal', link: { withdrawalId: w.id } }))
+  ].sort((a, b) => new Date(a.record.date) - new Date(b.record.date));
+  if (uploads.length === 0) return 0;
+
+  const REVIEW_STATUS = { completed: 'approved', rejected: 'rejected', pending: 'pending' };
+  let registered = 0;
+
+  for (const { record, purpose, link } of uploads) {
+    const sha256 = await receiptStore.hashFile(record.receiptImage);
+    if (!sha256) continue;
+
+    const collection = purpose === 'payment' ? 'transactions' : 'withdrawals';
+    await storage.transaction([collection, 'receipts'], async tx => {
+      const receipt = await registerReceipt(tx, {
+        id: generateId('rcpt'),
+        userId: record.userId,
+        uploadedBy: purpose === 'payment' ? record.userId : null,
+        purpose,
+        filename: record.receiptImage,
+        thumbnail: null,
+        mimeType: null,
+        size: null,
+        sha256,
+        status: purpose === 'payment' ? (REVIEW_STATUS[record.status] || 'pending') : 'not_required',
+        reviewedBy: null,
+        reviewedAt: record.processedAt || null,
+        createdAt: record.date || new Date().toISOString()
+      }, link);
+      await tx[collection].update(record.id, purpose === 'payment' ?
+        { receiptId: receipt.id, duplicateReceipt: receipt.duplicateOf.length > 0 } :
+        { receiptId: receipt.id });
+    });
+    registered++;
+  }
+
+  return registered;
+}
+
+// Renames withdrawal statuses from before members could request withdrawals:
+// an admin-paid 'pending' withdrawal is now 'paid', 'completed' is 'confirmed'.
+async function migrateWithdrawalStatuses() {
+  const legacy = await storage.withdrawals.filter(w => LEGACY_WITHDRAWAL_STATUSES[w.status]);
+  if (legacy.length === 0) return 0;
+
+  await storage.transaction(['withdrawals'], async tx => {
+    for (const withdrawal of legacy) {
+      await tx.withdrawals.update(withdrawal.id, w => {
+        w.status = LEGACY_WITHDRAWAL_STATUSES[w.status];
+        w.grossAmount = w.grossAmount !== undefined ? w.grossAmount : w.amount;
+        w.fee = w.fee || 0;
+        w.history = w.history || [];
+      });
+    }
+  });
+
+  return legacy.length;
+}
+
+// Gives members' free-text bank names their canonical name and CBN code.
+// Banks that can't be matched are left for the member to pick on their profile.
+async function normalizeBankDetails() {
+  const users = await storage.users.filter(user => user.bankName && !user.bankCode && findBank(user.bankName));
+  if (users.length === 0) return 0;
+
+  await storage.transaction(['users'], async tx => {
+    for (const user of users) {
+      await tx.users.update(user.id, u => {
+        const bank = findBank(u.bankName);
+        u.bankCode = bank.code;
+        u.bankName = bank.name;
+      });
+    }
+  });
+
+  return users.length;
+}
+
+// Gives members who saved before the ledger existed an opening balance for
+// what their enrolments and unpaid referral bonuses already held, so their
+// stored totals stay backed by it. Members with any ledger entry are skipped.
+async function openLedgerBalances() {
+  const [users, entries, bonuses] = await Promise.all([
+    storage.users.filter(user => !isAdminUser(user)),
+    storage.ledgerEntries.list(),
+    storage.referralBonuses.findBy({ status: 'earned' })
+  ]);
+  const posted = new Set(entries.map(entry => entry.userId));
+  const pending = users.filter(user => !posted.has(user.id));
+  if (pending.length === 0) return 0;
+
+  let opened = 0;
+  await storage.transaction(['users', 'ledgerEntries'], async tx => {
+    for (const user of pending) {
+      const journals = (user.enrollments || [])
+        .filter(enrollment => enrollment.totalSavedCurrentCycle > 0)
+        .map(enrollment => createJournal({
+          type: 'opening_balance',
+          userId: user.id,
+          enrollmentId: enrollment.id,
+          savingsCycle: enrollment.savingsCycle,
+          contributions: enrollment.contributionsCompletedCurrentCycle || 0,
+          description: 'Opening savings balance',
+          lines: [
+            debit(ACCOUNTS.bank, enrollment.totalSavedCurrentCycle),
+            credit(ACCOUNTS.savings(user.id, enrollment.id), enrollment.totalSavedCurrentCycle)
+          ]
+        }));
+
+      const unpaidBonus = bonuses
+        .filter(bonus => bonus.referrerId === user.id)
+        .reduce((sum, bonus) => sum + bonus.amount, 0);
+      if (unpaidBonus > 0) {
+        journals.push(createJournal({
+          type: 'opening_balance',
+          userId: user.id,
+          description: 'Opening referral bonus balance',
+          lines: [
+            debit(ACCOUNTS.referralExpense, unpaidBonus),
+            credit(ACCOUNTS.bonus(user.id), unpaidBonus)
+          ]
+        }));
+      }
+
+      if (journals.length === 0) continue;
+      for (const journal of journals) {
+        await postLedgerEntry(tx, journal);
+      }
+      opened++;
+    }
+  });
+
+  return opened;
+}
+
+if (!process.env.SECRET_KEY) {
+  console.warn('⚠️ SECRET_KEY is not set: using a random key, all sessions will end on restart');
+}
+if (!process.env.PAYMENT_WEBHOOK_SECRET && paymentGateway && paymentGateway.name !== 'mock') {
+  console.warn('⚠️ PAYMENT_WEBHOOK_SECRET is not set: provider webhooks will be refused');
+}
+
+// Gives enrolments paid into before due dates ran from the cycle start one,
+// counted back from their last payment so their next due date stays the same
+async function anchorPaymentSchedules() {
+  const plans = await storage.savingsPlans.list();
+  const isUnanchored = enrollment => enrollment.lastPaymentDate && !enrollment.cycleStartDate;
+  const users = await storage.users.filter(user => (user.enrollments || []).some(isUnanchored));
+  if (users.length === 0) return 0;
+
+  await storage.transaction(['users'], async tx => {
+    for (const user of users) {
+      await tx.users.update(user.id, u => {
+        u.enrollments.filter(isUnanchored).forEach(enrollment => {
+          const plan = findPlan(plans, enrollment.planId);
+          const paid = Math.max(enrollment.contributionsCompletedCurrentCycle || 0, 1);
+          enrollment.cycleStartDate = addPeriods(
+            enrollment.lastPaymentDate,
+            plan ? plan.frequency : 'monthly',
+            1 - paid
+          ).toISOString();
+        });
+      });
+    }
+  });
+
+  return users.length;
+}
+
+initDirectories().then(async () => {
+  const migrated = await migrateLegacySavings();
+  if (migrated > 0) {
+    console.log(`📦 Moved ${migrated} member(s) onto the default savings plan`);
+  }
+  const renamed = await migrateWithdrawalStatuses();
+  if (renamed > 0) {
+    console.log(`💸 Updated ${renamed} withdrawal status(es)`);
+  }
+  const normalized = await normalizeBankDetails();
+  if (normalized > 0) {
+    console.log(`🏦 Matched bank details for ${normalized} member(s)`);
+  }
+  const registered = await registerExistingReceipts();
+  if (registered > 0) {
+    console.log(`🧾 Registered ${registered} existing receipt(s)`);
+  }
+  const opened = await openLedgerBalances();
+  if (opened > 0) {
+    console.log(`📒 Opened ledger balances for ${opened} member(s)`);
+  }
+  const anchored = await anchorPaymentSchedules();
+  if (anchored > 0) {
+    console.log(`📅 Anchored payment schedules for ${anchored} member(s)`);
+  }
+
   httpServer.listen(PORT, () => {
     console.log(`✅ Server running on port ${PORT}`);
     console.log(`🌐 User interface: http://localhost:${PORT}`);
@@ -1375,8 +5727,19 @@ initDirectories().then(() => {
     console.log(`🔄 Real-time features: Enabled`);
     console.log(`🔄 Dashboard reset on withdrawal confirmation: Enabled`);
     console.log(`✅ Profile API: Enabled`);
+    console.log(`🗄️ Storage driver: ${storage.driver}`);
+    console.log(`💳 Payment provider: ${paymentGateway ? paymentGateway.name : 'none (receipt uploads only)'}`);
+    console.log(`📨 Notification channels: ${['in-app', ...notificationDispatcher.channels].join(', ')}`);
+
+    if (process.env.DISABLE_SCHEDULER === 'true') {
+      console.log('⏸️ Background jobs: Disabled');
+    } else {
+      scheduler.start()
+        .then(() => console.log('⏱️ Background jobs: Enabled'))
+        .catch(err => console.error('❌ Failed to start background jobs:', err));
+    }
   });
 }).catch(err => {
-  console.error('❌ Failed to initialize directories:', err);
+  console.error('❌ Failed to initialize server:', err);
   process.exit(1);
 });
@@ -0,0 +1,9 @@
+const crypto = require('crypto');
+
+// Record ids: a prefix, the creation time and a random suffix, since
+// timestamps alone collide when two records are created in the same millisecond
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}${crypto.randomBytes(3).toString('hex')}`;
+}
+
+module.exports = { generateId };
@@ -0,0 +1,333 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const { matches } = require('./query');
+const { createLockManager } = require('./locks');
+
+// Collection name -> file name used by the JSON backend (and by the migration tool)
+const COLLECTIONS = {
+  users: 'users.json',
+  transactions: 'transactions.json',
+  withdrawals: 'withdrawals.json',
+  notifications: 'notifications.json',
+  sessions: 'sessions.json',
+  savingsPlans: 'savings_plans.json',
+  receipts: 'receipts.json',
+  referralBonuses: 'referral_bonuses.json',
+  jobRuns: 'job_runs.json',
+  ledgerEntries: 'ledger_entries.json',
+  auditLogs: 'audit_logs.json',
+  disputes: 'disputes.json',
+  notificationDeliveries: 'notification_deliveries.json',
+  verificationCodes: 'verification_codes.json'
+};
+
+const DEFAULT_CONFIG = {
+  companyBankDetails: {
+    bankName: "RichMore Savings Bank",
+    accountNumber: "2740050371",
+    accountName: "Richmore multistream business network"
+  },
+  monthlyPaymentAmount: 12000,
+  withdrawalProcessingFee: 500,
+  penaltyPolicy: {
+    type: 'percentage',
+    graceDays: 3,
+    rate: 10,
+    amount: 1000,
+    cap: null
+  },
+  paymentReminderDays: 3,
+  referralBonusPolicy: {
+    type: 'first_payment',
+    amount: 2000,
+    percentage: 5
+  },
+  appSettings: {
+    minPasswordLength: 6,
+    maxLoginAttempts: 5
+  }
+};
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function applyChanges(record, changes) {
+  return typeof changes === 'function' ?
+    (changes(record) || record) :
+    { ...record, ...changes, id: record.id };
+}
+
+// A collection as seen from inside a transaction: reads see the transaction's
+// own staged writes on top of committed data, and nothing is written until commit.
+class TransactionRepository {
+  constructor(name, backend) {
+    this.name = name;
+    this.backend = backend;
+    this.staged = new Map();
+  }
+
+  overlay(baseRecords, criteria) {
+    const seen = new Set();
+    const records = [];
+
+    baseRecords.forEach(record => {
+      seen.add(record.id);
+      const current = this.staged.has(record.id) ? this.staged.get(record.id) : record;
+      if (current && (!criteria || matches(current, criteria))) {
+        records.push(current);
+      }
+    });
+    this.staged.forEach((record, id) => {
+      if (record && !seen.has(id) && (!criteria || matches(record, criteria))) {
+        records.push(record);
+      }
+    });
+
+    return clone(records);
+  }
+
+  async list() {
+    return this.overlay(await this.backend.all(this.name));
+  }
+
+  async findById(id) {
+    if (this.staged.has(id)) {
+      return clone(this.staged.get(id));
+    }
+    return clone(await this.backend.get(this.name, id)) || null;
+  }
+
+  async findBy(criteria) {
+    return this.overlay(await this.backend.query(this.name, criteria), criteria);
+  }
+
+  async findOne(criteria) {
+    const [record] = await this.findBy(criteria);
+    return record || null;
+  }
+
+  async filter(predicate) {
+    return (await this.list()).filter(predicate);
+  }
+
+  async count(criteria = {}) {
+    return (await this.findBy(criteria)).length;
+  }
+
+  async insert(record) {
+    if (await this.findById(record.id)) {
+      throw new Error(`Duplicate ${this.name} id: ${record.id}`);
+    }
+    this.staged.set(record.id, clone(record));
+    return clone(record);
+  }
+
+  // `changes` is either a partial record to merge or a function that edits a copy
+  async update(id, changes) {
+    const existing = await this.findById(id);
+    if (!existing) return null;
+
+    const updated = applyChanges(existing, changes);
+    this.staged.set(id, clone(updated));
+    return clone(updated);
+  }
+
+  async updateWhere(predicate, changes) {
+    const records = (await this.list()).filter(predicate);
+    const updated = records.map(record => applyChanges(record, changes));
+    updated.forEach(record => this.staged.set(record.id, clone(record)));
+    return clone(updated);
+  }
+
+  async remove(id) {
+    if (!await this.findById(id)) return false;
+    this.staged.set(id, null);
+    return true;
+  }
+
+  changes() {
+    const puts = [];
+    const removes = [];
+    this.staged.forEach((record, id) => {
+      if (record) {
+        puts.push(record);
+      } else {
+        removes.push(id);
+      }
+    });
+    return { collection: this.name, puts, removes };
+  }
+}
+
+// Every collection exposes the same async interface whatever the backend.
+// Records handed out are copies: mutate them, then save with update/insert.
+// Each write runs as its own single-collection transaction.
+class Repository {
+  constructor(name, storage) {
+    this.name = name;
+    this.storage = storage;
+    this.backend = storage.backend;
+  }
+
+  async list() {
+    return clone(await this.backend.all(this.name));
+  }
+
+  async findById(id) {
+    return clone(await this.backend.get(this.name, id)) || null;
+  }
+
+  // Equality match on top-level fields, e.g. findBy({ userId, type: 'payment' })
+  async findBy(criteria) {
+    return clone(await this.backend.query(this.name, criteria));
+  }
+
+  async findOne(criteria) {
+    const [record] = await this.findBy(criteria);
+    return record || null;
+  }
+
+  async filter(predicate) {
+    return (await this.list()).filter(predicate);
+  }
+
+  async count(criteria = {}) {
+    return (await this.backend.query(this.name, criteria)).length;
+  }
+
+  insert(record) {
+    return this.storage.transaction([this.name], tx => tx[this.name].insert(record));
+  }
+
+  update(id, changes) {
+    return this.storage.transaction([this.name], tx => tx[this.name].update(id, changes));
+  }
+
+  updateWhere(predicate, changes) {
+    return this.storage.transaction([this.name], tx => tx[this.name].updateWhere(predicate, changes));
+  }
+
+  remove(id) {
+    return this.storage.transaction([this.name], tx => tx[this.name].remove(id));
+  }
+
+  async replaceAll(records) {
+    const release = await this.storage.acquireLocks([this.name]);
+    try {
+      await this.backend.replaceAll(this.name, records);
+    } finally {
+      release();
+    }
+    this.storage.events.emit('change', { collection: this.name, records: clone(records), removedIds: [] });
+  }
+}
+
+class ConfigRepository {
+  constructor(storage) {
+    this.storage = storage;
+    this.backend = storage.backend;
+  }
+
+  async get() {
+    return clone(await this.backend.getConfig()) || clone(DEFAULT_CONFIG);
+  }
+
+  async set(config) {
+    return this.update(() => config);
+  }
+
+  // Read-modify-write under the config lock; `updater` returns the new config
+  async update(updater) {
+    const release = await this.storage.acquireLocks(['config']);
+    let config;
+    try {
+      config = clone(await updater(await this.get()));
+      await this.backend.setConfig(config);
+    } finally {
+      release();
+    }
+    this.storage.events.emit('change', { collection: 'config', records: [clone(config)], removedIds: [] });
+    return clone(config);
+  }
+}
+
+function createBackend(driver, options) {
+  switch (driver) {
+    case 'json':
+      return require('./json-backend').createJsonBackend(options);
+    case 'sqlite':
+      return require('./sqlite-backend').createSqliteBackend(options);
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+function createStorage(options = {}) {
+  const rootDir = path.join(__dirname, '..');
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'json';
+  const backend = createBackend(driver, {
+    dataDir: options.dataDir || process.env.DATA_DIR || path.join(rootDir, 'data'),
+    sqlitePath: options.sqlitePath || process.env.SQLITE_PATH || path.join(rootDir, 'db', 'richmore.db'),
+    collections: COLLECTIONS
+  });
+  const events = new EventEmitter();
+  const acquireLocks = createLockManager();
+
+  const storage = {
+    driver,
+    backend,
+    events,
+    acquireLocks,
+    on: (event, listener) => events.on(event, listener),
+    close: () => backend.close(),
+
+    // Runs `work` with exclusive access to the named collections. Everything it
+    // writes through the `tx` repositories is committed together or not at all.
+    // Don't call the top-level repositories for the same collections inside
+    // `work`: they wait for the same locks.
+    async transaction(collections, work) {
+      const release = await acquireLocks(collections);
+      let result;
+      let changeSets;
+
+      try {
+        const tx = {};
+        collections.forEach(name => {
+          if (!COLLECTIONS[name]) throw new Error(`Unknown collection: ${name}`);
+          tx[name] = new TransactionRepository(name, backend);
+        });
+
+        result = await work(tx);
+
+        changeSets = Object.values(tx)
+          .map(repository => repository.changes())
+          .filter(changes => changes.puts.length > 0 || changes.removes.length > 0);
+        if (changeSets.length > 0) {
+          await backend.commit(changeSets);
+        }
+      } finally {
+        release();
+      }
+
+      changeSets.forEach(({ collection, puts, removes }) => {
+        events.emit('change', { collection, records: clone(puts), removedIds: removes });
+      });
+      return result;
+    }
+  };
+
+  storage.config = new ConfigRepository(storage);
+  Object.keys(COLLECTIONS).forEach(name => {
+    storage[name] = new Repository(name, storage);
+  });
+
+  return storage;
+}
+
+module.exports = {
+  COLLECTIONS,
+  DEFAULT_CONFIG,
+  createStorage,
+  matches
+};
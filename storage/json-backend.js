@@ -0,0 +1,174 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { matches } = require('./query');
+
+const JOURNAL_FILE = '.commit-journal.json';
+
+// Stores each collection as a pretty-printed JSON array in the data directory.
+// Parsed files are cached, so a collection is only read from disk once per process.
+//
+// Files are never rewritten in place: new contents go to a temp file that is
+// fsynced and renamed over the original. A commit touching several files first
+// records its renames in a journal, so a crash part-way through is rolled
+// forward the next time the backend starts.
+function createJsonBackend({ dataDir, collections }) {
+  const cache = new Map();
+  const ready = recover();
+  // Failures surface on the first read or write that awaits `ready`
+  ready.catch(() => {});
+
+  function filePath(filename) {
+    return path.join(dataDir, filename);
+  }
+
+  async function writeTempFile(filename, data) {
+    const tempName = `${filename}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    const handle = await fs.open(filePath(tempName), 'w');
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    return tempName;
+  }
+
+  async function writeFileAtomic(filename, data) {
+    const tempName = await writeTempFile(filename, data);
+    await fs.rename(filePath(tempName), filePath(filename));
+  }
+
+  async function removeQuietly(filename) {
+    await fs.unlink(filePath(filename)).catch(err => {
+      if (err.code !== 'ENOENT') throw err;
+    });
+  }
+
+  // Finish a commit interrupted after its journal was written, then clear out
+  // temp files left by commits that never got that far
+  async function recover() {
+    await fs.mkdir(dataDir, { recursive: true });
+
+    const journal = await readFile(JOURNAL_FILE, null);
+    if (journal) {
+      for (const { from, to } of journal.renames) {
+        await fs.rename(filePath(from), filePath(to)).catch(err => {
+          if (err.code !== 'ENOENT') throw err;
+        });
+      }
+      await removeQuietly(JOURNAL_FILE);
+      console.warn(`Recovered an interrupted storage commit (${journal.renames.length} file(s))`);
+    }
+
+    const leftovers = (await fs.readdir(dataDir)).filter(name => name.endsWith('.tmp'));
+    for (const name of leftovers) {
+      await removeQuietly(name);
+    }
+  }
+
+  async function readFile(filename, fallback) {
+    try {
+      const data = await fs.readFile(filePath(filename), 'utf8');
+      return JSON.parse(data);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return fallback;
+      }
+      throw err;
+    }
+  }
+
+  async function load(collection) {
+    await ready;
+    if (!collections[collection]) {
+      throw new Error(`Unknown collection: ${collection}`);
+    }
+    if (!cache.has(collection)) {
+      cache.set(collection, await readFile(collections[collection], []));
+    }
+    return cache.get(collection);
+  }
+
+  return {
+    async all(collection) {
+      return load(collection);
+    },
+
+    async get(collection, id) {
+      const records = await load(collection);
+      return records.find(r => r.id === id);
+    },
+
+    async query(collection, criteria) {
+      const records = await load(collection);
+      return records.filter(r => matches(r, criteria));
+    },
+
+    // Applies [{ collection, puts, removes }] to every file or to none of them.
+    // Cached arrays are replaced, not edited, so readers never see half a commit.
+    async commit(changeSets) {
+      const nextContents = [];
+      for (const { collection, puts, removes } of changeSets) {
+        const records = [...await load(collection)].filter(r => !removes.includes(r.id));
+        puts.forEach(record => {
+          const index = records.findIndex(r => r.id === record.id);
+          if (index === -1) {
+            records.push(structuredClone(record));
+          } else {
+            records[index] = structuredClone(record);
+          }
+        });
+        nextContents.push({ collection, records });
+      }
+
+      const renames = [];
+      try {
+        for (const { collection, records } of nextContents) {
+          renames.push({ from: await writeTempFile(collections[collection], records), to: collections[collection] });
+        }
+      } catch (err) {
+        for (const { from } of renames) {
+          await removeQuietly(from);
+        }
+        throw err;
+      }
+
+      if (renames.length > 1) {
+        await writeFileAtomic(JOURNAL_FILE, { renames, createdAt: new Date().toISOString() });
+      }
+      for (const { from, to } of renames) {
+        await fs.rename(filePath(from), filePath(to));
+      }
+      if (renames.length > 1) {
+        await removeQuietly(JOURNAL_FILE);
+      }
+
+      nextContents.forEach(({ collection, records }) => cache.set(collection, records));
+    },
+
+    async replaceAll(collection, records) {
+      await load(collection);
+      await writeFileAtomic(collections[collection], records);
+      cache.set(collection, structuredClone(records));
+    },
+
+    async getConfig() {
+      await ready;
+      if (!cache.has('config')) {
+        cache.set('config', await readFile('config.json', null));
+      }
+      return cache.get('config');
+    },
+
+    async setConfig(config) {
+      await ready;
+      await writeFileAtomic('config.json', config);
+      cache.set('config', structuredClone(config));
+    },
+
+    close() {}
+  };
+}
+
+module.exports = { createJsonBackend };
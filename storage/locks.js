@@ -0,0 +1,33 @@
+// In-process named locks. Callers queue behind whoever holds a name and are
+// released in order. Names are always taken in sorted order so two callers
+// locking overlapping sets can't deadlock.
+function createLockManager() {
+  const tails = new Map();
+
+  async function acquireOne(name) {
+    const previous = tails.get(name) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    tails.set(name, tail);
+
+    await previous;
+
+    return () => {
+      release();
+      if (tails.get(name) === tail) {
+        tails.delete(name);
+      }
+    };
+  }
+
+  return async function acquire(names) {
+    const releases = [];
+    for (const name of [...new Set(names)].sort()) {
+      releases.push(await acquireOne(name));
+    }
+    return () => releases.reverse().forEach(release => release());
+  };
+}
+
+module.exports = { createLockManager };
@@ -0,0 +1,9 @@
+// Equality match on top-level fields. `null` matches both null and missing
+// fields, which is also how the SQLite backend's json_extract lookups behave.
+function matches(record, criteria) {
+  return Object.entries(criteria).every(([key, value]) =>
+    value === null ? record[key] == null : record[key] === value
+  );
+}
+
+module.exports = { matches };
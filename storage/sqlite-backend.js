@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+
+// Fields that route handlers look records up by, indexed per collection
+const INDEXED_FIELDS = {
+  users: ['email', 'referralCode'],
+  transactions: ['userId'],
+  withdrawals: ['userId'],
+  notifications: ['userId', 'audience'],
+  sessions: ['userId'],
+  receipts: ['userId', 'sha256'],
+  referralBonuses: ['referrerId', 'refereeId'],
+  jobRuns: ['job'],
+  ledgerEntries: ['userId'],
+  auditLogs: ['actorId', 'targetId'],
+  disputes: ['userId', 'withdrawalId'],
+  notificationDeliveries: ['userId', 'status'],
+  verificationCodes: ['userId']
+};
+
+function tableName(collection) {
+  return collection.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+}
+
+function toSqlValue(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value !== null && typeof value === 'object') {
+    throw new Error('Storage queries only support scalar values');
+  }
+  return value;
+}
+
+// Stores each record as a JSON document keyed by id, so records round-trip
+// exactly as they were written and new fields need no schema change.
+function createSqliteBackend({ sqlitePath, collections }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('The sqlite storage driver needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  fs.mkdirSync(path.dirname(sqlitePath), { recursive: true });
+  const db = new Database(sqlitePath);
+  db.pragma('journal_mode = WAL');
+
+  db.exec('CREATE TABLE IF NOT EXISTS config (key TEXT PRIMARY KEY, data TEXT NOT NULL)');
+  Object.keys(collections).forEach(collection => {
+    const table = tableName(collection);
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      id TEXT NOT NULL UNIQUE,
+      data TEXT NOT NULL
+    )`);
+    (INDEXED_FIELDS[collection] || []).forEach(field => {
+      db.exec(`CREATE INDEX IF NOT EXISTS ${table}_${field} ON ${table} (json_extract(data, '$.${field}'))`);
+    });
+  });
+
+  const statements = new Map();
+  function statement(sql) {
+    if (!statements.has(sql)) {
+      statements.set(sql, db.prepare(sql));
+    }
+    return statements.get(sql);
+  }
+
+  function table(collection) {
+    if (!collections[collection]) {
+      throw new Error(`Unknown collection: ${collection}`);
+    }
+    return tableName(collection);
+  }
+
+  function upsert(collection, record) {
+    if (record.id === undefined || record.id === null) {
+      throw new Error(`Cannot store a ${collection} record without an id`);
+    }
+    statement(`INSERT INTO ${table(collection)} (id, data) VALUES (?, ?)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data`)
+      .run(String(record.id), JSON.stringify(record));
+  }
+
+  const commit = db.transaction(changeSets => {
+    changeSets.forEach(({ collection, puts, removes }) => {
+      removes.forEach(id => {
+        statement(`DELETE FROM ${table(collection)} WHERE id = ?`).run(String(id));
+      });
+      puts.forEach(record => upsert(collection, record));
+    });
+  });
+
+  const replaceAll = db.transaction((collection, records) => {
+    statement(`DELETE FROM ${table(collection)}`).run();
+    records.forEach(record => upsert(collection, record));
+  });
+
+  const parseRows = rows => rows.map(row => JSON.parse(row.data));
+
+  return {
+    async all(collection) {
+      return parseRows(statement(`SELECT data FROM ${table(collection)} ORDER BY seq`).all());
+    },
+
+    async get(collection, id) {
+      const row = statement(`SELECT data FROM ${table(collection)} WHERE id = ?`).get(String(id));
+      return row ? JSON.parse(row.data) : undefined;
+    },
+
+    async query(collection, criteria) {
+      const clauses = [];
+      const params = [];
+
+      Object.entries(criteria).forEach(([field, value]) => {
+        if (!/^\w+$/.test(field)) {
+          throw new Error(`Invalid query field: ${field}`);
+        }
+        if (value === null) {
+          clauses.push(`json_extract(data, '$.${field}') IS NULL`);
+        } else {
+          clauses.push(`json_extract(data, '$.${field}') = ?`);
+          params.push(toSqlValue(value));
+        }
+      });
+
+      const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+      return parseRows(statement(`SELECT data FROM ${table(collection)} ${where} ORDER BY seq`).all(...params));
+    },
+
+    // Applies [{ collection, puts, removes }] in a single SQLite transaction
+    async commit(changeSets) {
+      commit(changeSets);
+    },
+
+    async replaceAll(collection, records) {
+      replaceAll(collection, records);
+    },
+
+    async getConfig() {
+      const row = statement('SELECT data FROM config WHERE key = ?').get('config');
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async setConfig(config) {
+      statement(`INSERT INTO config (key, data) VALUES (?, ?)
+        ON CONFLICT(key) DO UPDATE SET data = excluded.data`)
+        .run('config', JSON.stringify(config));
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteBackend };
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { generateId } = require('../storage/ids');
+
+const CODE_LENGTH = 6;
+const CODE_TTL_MS = 10 * 60 * 1000;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+// What each code proves, and the words used in the message carrying it.
+// 'email' and 'phone' codes prove the member owns the address they went to;
+// the rest approve one action on one target.
+const OTP_PURPOSES = {
+  email: 'to verify your email address',
+  phone: 'to verify your phone number',
+  withdrawal_confirm: 'to confirm you received your withdrawal'
+};
+
+function generateCode() {
+  return String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+}
+
+// Shows enough of an address for the member to recognise it
+function maskDestination(destination) {
+  const value = String(destination || '');
+  if (value.includes('@')) {
+    const [name, domain] = value.split('@');
+    return `${name.slice(0, 2)}${'*'.repeat(Math.max(name.length - 2, 1))}@${domain}`;
+  }
+  return `${'*'.repeat(Math.max(value.length - 4, 1))}${value.slice(-4)}`;
+}
+
+// One-time codes sent to a member's email or phone. Only a keyed hash of each
+// code is stored. Issuing a new code replaces any earlier one for the same
+// purpose and target; a code is good for one use, CODE_TTL_MS and
+// MAX_ATTEMPTS wrong guesses. `send({ channel, to, title, message })`
+// delivers the code.
+function createOtpService({ storage, secret, send }) {
+  function hashCode(id, code) {
+    return crypto.createHmac('sha256', secret).update(`${id}:${code}`).digest('hex');
+  }
+
+  async function latest(codes, userId, purpose, targetId) {
+    const pending = await codes.findBy({ userId, purpose, status: 'pending' });
+    return pending
+      .filter(record => record.targetId === (targetId || null))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0] || null;
+  }
+
+  async function issue({ userId, purpose, channel, destination, targetId = null }) {
+    if (!OTP_PURPOSES[purpose]) throw new Error(`Unknown verification purpose: ${purpose}`);
+
+    const id = generateId('otp');
+    const code = generateCode();
+    const record = await storage.transaction(['verificationCodes'], async tx => {
+      const now = new Date();
+      const previous = await latest(tx.verificationCodes, userId, purpose, targetId);
+      if (previous && previous.destination === destination &&
+          now - new Date(previous.createdAt) < RESEND_COOLDOWN_MS) {
+        const retryAfter = Math.ceil((RESEND_COOLDOWN_MS - (now - new Date(previous.createdAt))) / 1000);
+        return { status: 429, error: `Wait ${retryAfter} seconds before requesting another code`, retryAfter };
+      }
+      if (previous) {
+        await tx.verificationCodes.update(previous.id, { status: 'replaced', updatedAt: now.toISOString() });
+      }
+
+      return tx.verificationCodes.insert({
+        id,
+        userId,
+        purpose,
+        targetId: targetId || null,
+        channel,
+        destination,
+        codeHash: hashCode(id, code),
+        status: 'pending',
+        attempts: 0,
+        expiresAt: new Date(now.getTime() + CODE_TTL_MS).toISOString(),
+        usedAt: null,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      });
+    });
+    if (record.error) return record;
+
+    try {
+      await send({
+        channel,
+        to: destination,
+        title: 'Your RichMore Now code',
+        message: `${code} is your code ${OTP_PURPOSES[purpose]}. It expires in ${CODE_TTL_MS / 60000} minutes. Never share it with anyone.`
+      });
+    } catch (error) {
+      await storage.verificationCodes.update(id, { status: 'failed', updatedAt: new Date().toISOString() });
+      throw error;
+    }
+
+    return {
+      id: record.id,
+      channel,
+      sentTo: maskDestination(destination),
+      expiresAt: record.expiresAt
+    };
+  }
+
+  // Checks a code and uses it up. Returns the code's record, or { status, error }.
+  // Runs under the collection's lock so a code can't be used twice at once.
+  function verify({ userId, purpose, targetId = null, code }) {
+    return storage.transaction(['verificationCodes'], async tx => {
+      const record = await latest(tx.verificationCodes, userId, purpose, targetId);
+      if (!record) {
+        return { status: 400, error: 'No code is waiting to be checked. Request a new one' };
+      }
+
+      const now = new Date();
+      if (new Date(record.expiresAt) <= now) {
+        await tx.verificationCodes.update(record.id, { status: 'expired', updatedAt: now.toISOString() });
+        return { status: 400, error: 'This code has expired. Request a new one' };
+      }
+
+      const expected = Buffer.from(record.codeHash, 'hex');
+      const actual = Buffer.from(hashCode(record.id, String(code || '').trim()), 'hex');
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        const attempts = record.attempts + 1;
+        const locked = attempts >= MAX_ATTEMPTS;
+        await tx.verificationCodes.update(record.id, {
+          attempts,
+          status: locked ? 'locked' : 'pending',
+          updatedAt: now.toISOString()
+        });
+        return locked ?
+          { status: 429, error: 'Too many wrong codes. Request a new one' } :
+          { status: 400, error: `Incorrect code. ${MAX_ATTEMPTS - attempts} attempt(s) left` };
+      }
+
+      return tx.verificationCodes.update(record.id, {
+        status: 'used',
+        usedAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      });
+    });
+  }
+
+  return {
+    issue,
+    verify
+  };
+}
+
+module.exports = {
+  OTP_PURPOSES,
+  maskDestination,
+  createOtpService
+};